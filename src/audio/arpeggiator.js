@@ -0,0 +1,250 @@
+// Arpeggiator - while enabled, held touches feed a note pool instead of sounding directly.
+// One touch arpeggiates the chord mode chord on its note (a triad while chord mode is off);
+// several touches arpeggiate the held notes themselves. Steps follow the transport clock
+// (or a free rate in Hz) and are scheduled a little ahead on the audio clock, so they land on the grid.
+import { NOTE_DIVISIONS } from './transport-clock.js';
+
+export const ARP_PATTERNS = {
+    up: 'Up',
+    down: 'Down',
+    updown: 'Up/Down',
+    random: 'Random',
+    played: 'As Played'
+};
+
+const TICK_INTERVAL = 10; // ms
+const LOOKAHEAD = 0.03; // seconds steps and releases are scheduled ahead
+const MAX_OCTAVES = 4;
+
+export class Arpeggiator {
+    constructor(synthesizer) {
+        this.synthesizer = synthesizer;
+        this.enabled = false;
+        
+        this.pattern = 'up';
+        this.octaves = 1;
+        this.gate = 0.5;    // Fraction of each step the note is held
+        this.sync = '1/16'; // Division key from NOTE_DIVISIONS, or null for the free rate
+        this.rate = 8;      // Steps per second when free running
+        
+        // Held touches in press order: id -> { x, y, intensity }
+        this.touches = new Map();
+        this.step = 0;
+        this.lastIndex = -1;
+        this.nextStepTime = 0;
+        this.current = null; // { voice, touchId, releaseTime }
+        this.timer = null;
+        this.nextLatchKey = 1;
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.releaseAll();
+        }
+    }
+    
+    isEnabled() {
+        return this.enabled;
+    }
+    
+    setPattern(pattern) {
+        if (!ARP_PATTERNS[pattern]) {
+            console.error(`Unknown arpeggiator pattern: ${pattern}`);
+            return false;
+        }
+        this.pattern = pattern;
+        return true;
+    }
+    
+    setOctaves(octaves) {
+        this.octaves = Math.max(1, Math.min(MAX_OCTAVES, Math.round(Number(octaves) || 1)));
+    }
+    
+    setGate(gate) {
+        this.gate = Math.max(0.05, Math.min(1, Number(gate) || 0.05));
+    }
+    
+    // Division key to follow the clock, or null to run at rate steps per second
+    setRate({ sync, rate } = {}) {
+        if (sync !== undefined) this.sync = NOTE_DIVISIONS[sync] ? sync : null;
+        if (rate !== undefined) this.rate = Math.max(0.5, Math.min(30, Number(rate) || 0.5));
+    }
+    
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            pattern: this.pattern,
+            octaves: this.octaves,
+            gate: this.gate,
+            sync: this.sync,
+            rate: this.rate
+        };
+    }
+    
+    get stepSeconds() {
+        return this.sync ? this.synthesizer.getClock().divisionToSeconds(this.sync) : 1 / this.rate;
+    }
+    
+    press(id, x, y, intensity = 1) {
+        this.touches.set(id, { x, y, intensity });
+        
+        if (!this.timer) {
+            // The first touch starts straight away, or on the next grid line when synced
+            const now = this.synthesizer.audioContext.currentTime;
+            this.step = 0;
+            this.lastIndex = -1;
+            this.nextStepTime = this.sync
+                ? this.synthesizer.getClock().nextDivisionTime(now, this.sync)
+                : now;
+            this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+            this.tick();
+        }
+    }
+    
+    move(id, x, y, intensity) {
+        const touch = this.touches.get(id);
+        if (!touch) return;
+        
+        touch.x = x;
+        touch.y = y;
+        if (intensity !== undefined) touch.intensity = intensity;
+        
+        // The sounding step keeps its pitch but follows the finger for pan, filter and pressure
+        if (this.current && this.current.touchId === id) {
+            const { voice } = this.current;
+            this.synthesizer.updateVoicePosition(voice, x, y, intensity, voice.note);
+        }
+    }
+    
+    release(id) {
+        this.touches.delete(id);
+        if (this.touches.size === 0) {
+            this.releaseAll();
+        }
+    }
+    
+    isHeld(id) {
+        return this.touches.has(id);
+    }
+    
+    // Keep a lifted touch in the pattern (latch mode) under a key of its own, since touch IDs get reused.
+    // Returns the new key, or null if the touch isn't held.
+    latch(id) {
+        if (!this.touches.has(id)) return null;
+        
+        const key = `latched-${this.nextLatchKey++}`;
+        this.touches = new Map(Array.from(this.touches, ([touchId, touch]) => [touchId === id ? key : touchId, touch]));
+        if (this.current && this.current.touchId === id) {
+            this.current.touchId = key;
+        }
+        return key;
+    }
+    
+    releaseAll() {
+        this.touches.clear();
+        
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.stopCurrent();
+        this.synthesizer.getLatch().prune();
+    }
+    
+    // Release the sounding step now, or at time
+    stopCurrent(time = null) {
+        if (this.current) {
+            this.synthesizer.stopVoice(this.current.voice, time);
+            this.current = null;
+        }
+    }
+    
+    // Notes to step through, each { note, touchId }, ordered for the pattern
+    buildSequence() {
+        const synth = this.synthesizer;
+        const held = Array.from(this.touches.entries()).map(([touchId, touch]) => ({
+            touchId,
+            note: synth.positionToNote(touch.x, touch.y)
+        }));
+        
+        let notes = held;
+        if (held.length === 1) {
+            const [{ touchId, note }] = held;
+            const { chord } = synth.getVoiceSettings();
+            notes = synth.getChordNotes(note, chord === 'off' ? 'triad' : chord)
+                .map(chordNote => ({ touchId, note: chordNote }));
+        }
+        
+        const period = synth.getTuning().keysPerPeriod;
+        const sequence = [];
+        for (let octave = 0; octave < this.octaves; octave++) {
+            notes.forEach(({ touchId, note }) => sequence.push({ touchId, note: note + octave * period }));
+        }
+        
+        if (this.pattern === 'played') return sequence;
+        
+        sequence.sort((a, b) => a.note - b.note);
+        return this.pattern === 'down' ? sequence.reverse() : sequence;
+    }
+    
+    nextIndex(length) {
+        if (this.pattern === 'random') {
+            if (length === 1) return 0;
+            
+            // Never the same note twice in a row
+            const index = Math.floor(Math.random() * (length - 1));
+            return index >= this.lastIndex ? index + 1 : index;
+        }
+        
+        if (this.pattern === 'updown' && length > 1) {
+            const cycle = length * 2 - 2;
+            const position = this.step % cycle;
+            return position < length ? position : cycle - position;
+        }
+        
+        return this.step % length;
+    }
+    
+    tick() {
+        const now = this.synthesizer.audioContext.currentTime;
+        const horizon = now + LOOKAHEAD;
+        
+        if (this.current && horizon >= this.current.releaseTime) {
+            this.stopCurrent(this.current.releaseTime);
+        }
+        
+        if (horizon < this.nextStepTime) return;
+        
+        const stepSeconds = this.stepSeconds;
+        this.playStep(this.nextStepTime, stepSeconds);
+        
+        // Stay on the grid, but skip ahead rather than rush through missed steps (e.g. after a stall)
+        this.nextStepTime = Math.max(this.nextStepTime + stepSeconds, now);
+        if (this.sync) {
+            this.nextStepTime = this.synthesizer.getClock().nextDivisionTime(this.nextStepTime - 0.001, this.sync);
+        }
+    }
+    
+    playStep(stepTime, stepSeconds) {
+        const sequence = this.buildSequence();
+        if (sequence.length === 0) return;
+        
+        const index = this.nextIndex(sequence.length);
+        const { note, touchId } = sequence[index];
+        const touch = this.touches.get(touchId);
+        this.step++;
+        this.lastIndex = index;
+        
+        // Start the new note before releasing the old one, so mono patches glide between steps
+        const previous = this.current;
+        const voice = this.synthesizer.startVoice(touch.x, touch.y, touch.intensity, note, stepTime);
+        if (previous) {
+            this.synthesizer.stopVoice(previous.voice, stepTime);
+        }
+        
+        this.current = voice
+            ? { voice, touchId, releaseTime: stepTime + stepSeconds * this.gate }
+            : null;
+    }
+}
\ No newline at end of file
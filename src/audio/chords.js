@@ -0,0 +1,36 @@
+// Chord shapes for chord mode - one touch plays a chord built on the touched scale degree.
+// Shapes stack scale degrees, so chords stay diatonic to the current scale and key
+// (in a pentatonic scale a triad takes every other pentatonic tone).
+
+export const CHORD_TYPES = {
+    off: 'Off',
+    triad: 'Triad',
+    seventh: 'Seventh',
+    sus2: 'Sus2',
+    sus4: 'Sus4',
+    power: 'Power'
+};
+
+// Scale degrees above the touched note
+const CHORD_DEGREES = {
+    triad: [0, 2, 4],
+    seventh: [0, 2, 4, 6],
+    sus2: [0, 1, 4],
+    sus4: [0, 3, 4]
+};
+
+// A 3:2 fifth as a fraction of the period (7 keys in 12-TET)
+const FIFTH = Math.log2(3 / 2);
+
+// Keys of the chord on root, root first. transpose(note, steps) moves by scale degrees from
+// the degree at or below note; power chords skip the scale and stack the nearest fifth and the period.
+export function chordNotes(type, root, { transpose, keysPerPeriod }) {
+    if (type === 'power') {
+        return [root, root + Math.round(FIFTH * keysPerPeriod), root + keysPerPeriod];
+    }
+    
+    // A root between degrees (continuous glide) slides the whole shape with it
+    const offset = root - transpose(root, 0);
+    const degrees = CHORD_DEGREES[type] || [0];
+    return degrees.map(steps => transpose(root, steps) + offset);
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { EffectModule } from './effect-module.js';
+
+// Contexts that have the bitcrusher processor loaded
+const readyContexts = new WeakSet();
+
+export async function loadBitcrusherWorklet(audioContext) {
+    if (readyContexts.has(audioContext)) return true;
+    if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+    
+    try {
+        await audioContext.audioWorklet.addModule(
+            new URL('../worklets/bitcrusher-processor.js', import.meta.url)
+        );
+        readyContexts.add(audioContext);
+        return true;
+    } catch (error) {
+        console.error('Bitcrusher worklet unavailable, falling back to a quantizing waveshaper:', error);
+        return false;
+    }
+}
+
+// Staircase curve - bit reduction without the sample-rate reduction, for when the worklet is missing
+export function makeBitDepthCurve(bits) {
+    const samples = 4096;
+    const curve = new Float32Array(samples);
+    const step = 2 / Math.pow(2, bits);
+    
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / samples - 1;
+        curve[i] = step * Math.round(x / step);
+    }
+    
+    return curve;
+}
+
+// Crushing stage shared by the bitcrusher effect and GRIME's bitcrush character
+export class Crusher {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.bits = 8;
+        this.downsample = 4;
+        
+        if (readyContexts.has(audioContext)) {
+            this.node = new AudioWorkletNode(audioContext, 'oil-bitcrusher-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 2,
+                channelCountMode: 'explicit',
+                outputChannelCount: [2]
+            });
+            this.isWorklet = true;
+        } else {
+            this.node = audioContext.createWaveShaper();
+            this.node.curve = makeBitDepthCurve(this.bits);
+            this.isWorklet = false;
+        }
+    }
+    
+    setBits(bits) {
+        this.bits = bits;
+        if (this.isWorklet) {
+            this.node.parameters.get('bits').setValueAtTime(bits, this.audioContext.currentTime);
+        } else {
+            this.node.curve = makeBitDepthCurve(Math.round(bits));
+        }
+    }
+    
+    setDownsample(factor) {
+        this.downsample = factor;
+        if (this.isWorklet) {
+            this.node.parameters.get('downsample').setValueAtTime(factor, this.audioContext.currentTime);
+        }
+    }
+}
+
+// Standalone bit-depth and sample-rate reducer with wet/dry mix
+export class BitcrusherEffect extends EffectModule {
+    constructor(audioContext, options = {}) {
+        super(audioContext, options);
+        
+        this.crusher = new Crusher(audioContext);
+        this.wet = audioContext.createGain();
+        this.dry = audioContext.createGain();
+        this.wet.gain.value = 1;
+        this.dry.gain.value = 0;
+        
+        this.effectInput.connect(this.crusher.node);
+        this.effectInput.connect(this.dry);
+        this.crusher.node.connect(this.wet);
+        this.wet.connect(this.output);
+        this.dry.connect(this.output);
+        
+        this.defineParam('bits', {
+            min: 1,
+            max: 16,
+            step: 0.1,
+            value: 8,
+            apply: (bits) => this.crusher.setBits(bits)
+        });
+        this.defineParam('downsample', {
+            min: 1,
+            max: 64,
+            step: 0.1,
+            value: 4,
+            apply: (factor) => this.crusher.setDownsample(factor)
+        });
+        this.defineParam('mix', {
+            min: 0,
+            max: 1,
+            value: 1,
+            apply: (mix) => {
+                this.rampParam(this.wet.gain, mix);
+                this.rampParam(this.dry.gain, 1 - mix);
+            }
+        });
+    }
+    
+    // Fewer bits and a lower sample rate as the knob goes up
+    applyMacro(value) {
+        this.setParam('bits', 16 - value * 13);
+        this.setParam('downsample', 1 + value * value * 31);
+    }
+}
\ No newline at end of file
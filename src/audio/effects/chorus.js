@@ -0,0 +1,97 @@
+import { EffectModule } from './effect-module.js';
+
+// Stereo chorus - a modulated delay per channel. The right LFO runs at the same rate as the
+// left, offset in phase by the spread (0 = in phase, 1 = opposite phase).
+export class ChorusEffect extends EffectModule {
+    constructor(audioContext, options = {}) {
+        super(audioContext, { macro: 'shimmer', ...options });
+        
+        this.splitter = audioContext.createChannelSplitter(2);
+        this.merger = audioContext.createChannelMerger(2);
+        this.delayLeft = audioContext.createDelay(0.03);
+        this.delayRight = audioContext.createDelay(0.03);
+        this.lfoLeft = audioContext.createOscillator();
+        this.lfoRight = audioContext.createOscillator();
+        this.depthLeft = audioContext.createGain();
+        this.depthRight = audioContext.createGain();
+        this.wet = audioContext.createGain();
+        
+        this.lfoLeft.frequency.value = 0.5;
+        this.lfoRight.frequency.value = 0.5;
+        this.lfoRight.setPeriodicWave(this.createPhasedSine(0.5));
+        this.depthLeft.gain.value = 0.005;
+        this.depthRight.gain.value = 0.005;
+        this.wet.gain.value = 0.5;
+        this.delayLeft.delayTime.value = 0.015;
+        this.delayRight.delayTime.value = 0.015;
+        
+        this.lfoLeft.connect(this.depthLeft);
+        this.lfoRight.connect(this.depthRight);
+        this.depthLeft.connect(this.delayLeft.delayTime);
+        this.depthRight.connect(this.delayRight.delayTime);
+        
+        // Started together so the phase offset holds
+        const now = audioContext.currentTime;
+        this.lfoLeft.start(now);
+        this.lfoRight.start(now);
+        
+        this.effectInput.connect(this.output);
+        this.effectInput.connect(this.splitter);
+        this.splitter.connect(this.delayLeft, 0);
+        this.splitter.connect(this.delayRight, 1);
+        this.delayLeft.connect(this.merger, 0, 0);
+        this.delayRight.connect(this.merger, 0, 1);
+        this.merger.connect(this.wet);
+        this.wet.connect(this.output);
+        
+        this.defineParam('rate', {
+            min: 0.05,
+            max: 5,
+            value: 0.5,
+            apply: (rate) => {
+                this.rampParam(this.lfoLeft.frequency, rate, 0.1);
+                this.rampParam(this.lfoRight.frequency, rate, 0.1);
+            }
+        });
+        this.defineParam('depth', {
+            min: 0,
+            max: 0.01,
+            value: 0.005,
+            apply: (depth) => {
+                this.rampParam(this.depthLeft.gain, depth, 0.1);
+                this.rampParam(this.depthRight.gain, depth, 0.1);
+            }
+        });
+        this.defineParam('spread', {
+            min: 0,
+            max: 1,
+            value: 0.5,
+            apply: (spread) => this.lfoRight.setPeriodicWave(this.createPhasedSine(spread))
+        });
+        this.defineParam('mix', {
+            min: 0,
+            max: 1,
+            value: 0.5,
+            apply: (mix) => this.rampParam(this.wet.gain, mix, 0.1)
+        });
+    }
+    
+    // sin(wt + phase), with phase = spread * 180 degrees
+    createPhasedSine(spread) {
+        const phase = spread * Math.PI;
+        const real = new Float32Array([0, Math.sin(phase)]);
+        const imag = new Float32Array([0, Math.cos(phase)]);
+        return this.audioContext.createPeriodicWave(real, imag);
+    }
+    
+    applyMacro(value) {
+        this.setParam('mix', value * 0.8);
+        this.setParam('depth', value * 0.01);
+    }
+    
+    destroy() {
+        this.lfoLeft.stop();
+        this.lfoRight.stop();
+        super.destroy();
+    }
+}
\ No newline at end of file
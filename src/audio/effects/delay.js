@@ -0,0 +1,150 @@
+import { EffectModule } from './effect-module.js';
+import { NOTE_DIVISIONS } from '../transport-clock.js';
+
+// Stereo modes for the delay taps
+export const DELAY_MODES = {
+    mono: 'Mono',
+    pingpong: 'Ping-Pong',
+    offset: 'Stereo Offset'
+};
+
+// Right tap length relative to the left in offset mode
+const OFFSET_RATIO = 1.5;
+
+// Feedback delay mixed over the dry signal, with mono, ping-pong and offset stereo taps.
+// With sync set to a note division the time follows the transport clock instead of the time param.
+export class DelayEffect extends EffectModule {
+    constructor(audioContext, options = {}) {
+        super(audioContext, { macro: 'flow', ...options });
+        
+        this.mode = 'mono';
+        
+        // Delay input is summed to mono so ping-pong repeats start on the left
+        this.send = audioContext.createGain();
+        this.send.channelCount = 1;
+        this.send.channelCountMode = 'explicit';
+        
+        this.delayLeft = audioContext.createDelay(2.0);
+        this.delayRight = audioContext.createDelay(2.0);
+        this.feedbackLeft = audioContext.createGain();
+        this.feedbackRight = audioContext.createGain();
+        this.merger = audioContext.createChannelMerger(2);
+        this.wet = audioContext.createGain();
+        
+        const time = 0.2;
+        this.delayLeft.delayTime.value = time;
+        this.delayRight.delayTime.value = time;
+        this.feedbackLeft.gain.value = 0.4;
+        this.feedbackRight.gain.value = 0.4;
+        this.wet.gain.value = 0.3;
+        
+        this.effectInput.connect(this.output);
+        this.effectInput.connect(this.send);
+        this.merger.connect(this.wet);
+        this.wet.connect(this.output);
+        this.connectTaps();
+        
+        this.defineParam('mode', {
+            options: Object.keys(DELAY_MODES),
+            value: 'mono',
+            apply: (mode) => this.setMode(mode)
+        });
+        this.defineParam('time', {
+            min: 0.01,
+            max: 1,
+            value: time,
+            apply: () => this.updateTimes()
+        });
+        this.defineParam('sync', {
+            options: ['free', ...Object.keys(NOTE_DIVISIONS)],
+            value: 'free',
+            apply: () => this.updateTimes()
+        });
+        this.defineParam('feedback', {
+            min: 0,
+            max: 0.95,
+            value: 0.4,
+            apply: (feedback) => {
+                this.rampParam(this.feedbackLeft.gain, feedback);
+                this.rampParam(this.feedbackRight.gain, feedback);
+            }
+        });
+        this.defineParam('mix', {
+            min: 0,
+            max: 1,
+            value: 0.3,
+            apply: (mix) => this.rampParam(this.wet.gain, mix)
+        });
+        
+        this.followClock();
+    }
+    
+    // mono:     send -> L (feedback L) -> both channels
+    // pingpong: send -> L -> R -> feedback -> L, each tap on its own side
+    // offset:   send -> L and a longer R, each with its own feedback
+    connectTaps() {
+        const { send, delayLeft, delayRight, feedbackLeft, feedbackRight, merger } = this;
+        
+        send.connect(delayLeft);
+        delayLeft.connect(merger, 0, 0);
+        
+        switch (this.mode) {
+            case 'pingpong':
+                delayLeft.connect(delayRight);
+                delayRight.connect(feedbackLeft);
+                feedbackLeft.connect(delayLeft);
+                delayRight.connect(merger, 0, 1);
+                break;
+            case 'offset':
+                send.connect(delayRight);
+                delayLeft.connect(feedbackLeft);
+                feedbackLeft.connect(delayLeft);
+                delayRight.connect(feedbackRight);
+                feedbackRight.connect(delayRight);
+                delayRight.connect(merger, 0, 1);
+                break;
+            default:
+                delayLeft.connect(feedbackLeft);
+                feedbackLeft.connect(delayLeft);
+                delayLeft.connect(merger, 0, 1);
+        }
+    }
+    
+    setMode(mode) {
+        [this.send, this.delayLeft, this.delayRight, this.feedbackLeft, this.feedbackRight]
+            .forEach(node => node.disconnect());
+        
+        this.mode = mode;
+        this.connectTaps();
+        this.updateTimes();
+    }
+    
+    // Delay time in seconds - a note division of the clock when synced, otherwise the time param
+    getDelayTime() {
+        const sync = this.getParam('sync');
+        if (sync && sync !== 'free' && this.clock) {
+            return Math.min(2, this.clock.divisionToSeconds(sync));
+        }
+        return this.getParam('time');
+    }
+    
+    updateTimes() {
+        const time = this.getDelayTime();
+        const rightTime = this.mode === 'offset' ? Math.min(2, time * OFFSET_RATIO) : time;
+        this.rampParam(this.delayLeft.delayTime, time);
+        this.rampParam(this.delayRight.delayTime, rightTime);
+    }
+    
+    onClockChange() {
+        if (this.getParam('sync') !== 'free') {
+            this.updateTimes();
+        }
+    }
+    
+    // More dramatic delay settings as FLOW goes up
+    applyMacro(value) {
+        this.setParam('time', 0.05 + value * 0.45); // 50ms to 500ms
+        this.setParam('mix', value * 0.8);          // Up to 80% wet
+        this.setParam('feedback', value * 0.85);    // Up to 85% feedback for more repeats
+    }
+}
\ No newline at end of file
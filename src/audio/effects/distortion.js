@@ -0,0 +1,167 @@
+import { EffectModule } from './effect-module.js';
+import { Crusher } from './bitcrusher.js';
+
+// GRIME characters - each has its own transfer curve, except bitcrush which runs the crusher
+export const DISTORTION_CHARACTERS = {
+    tube: 'Tube',
+    hardclip: 'Hard Clip',
+    foldback: 'Foldback',
+    fuzz: 'Fuzz',
+    bitcrush: 'Bitcrush'
+};
+
+export function makeDistortionCurve(amount) {
+    const samples = 44100;
+    const curve = new Float32Array(samples);
+    const deg = Math.PI / 180;
+    
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / samples - 1;
+        curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
+    }
+    
+    return curve;
+}
+
+// Transfer function for a character at a drive amount (0-400, as used by the tube curve)
+function shapeSample(character, x, amount) {
+    const gain = 1 + amount / 20;
+    
+    switch (character) {
+        case 'hardclip':
+            return Math.max(-1, Math.min(1, x * gain));
+        case 'foldback': {
+            // Triangle fold: anything past +/-1 reflects back into range
+            const t = x * gain;
+            return Math.abs((((t - 1) % 4) + 4) % 4 - 2) - 1;
+        }
+        case 'fuzz':
+            // Asymmetric clipping - the negative half saturates much harder, adding even harmonics
+            return x >= 0
+                ? Math.tanh(x * gain)
+                : -Math.min(1, Math.pow(-x * gain * 2, 0.5)) * 0.7;
+        default:
+            return x;
+    }
+}
+
+// Peak level of the other characters, roughly matched to the tube curve's output
+const CHARACTER_LEVEL = 0.4;
+
+export function makeCharacterCurve(character, amount) {
+    if (character === 'tube') return makeDistortionCurve(amount);
+    
+    const samples = 4096;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        curve[i] = shapeSample(character, (i * 2) / samples - 1, amount) * CHARACTER_LEVEL;
+    }
+    return curve;
+}
+
+// Waveshaper with wet/dry mix
+export class DistortionEffect extends EffectModule {
+    constructor(audioContext, options = {}) {
+        super(audioContext, { macro: 'grime', ...options });
+        
+        this.character = 'tube';
+        this.shaper = audioContext.createWaveShaper();
+        this.shaper.curve = makeDistortionCurve(50);
+        this.curveAmount = 50;
+        this.shaper.oversample = options.oversample || '4x';
+        
+        // Built the first time the bitcrush character is picked
+        this.crusher = null;
+        this.processor = this.shaper;
+        
+        this.wet = audioContext.createGain();
+        this.dry = audioContext.createGain();
+        this.wet.gain.value = 0.3; // Start with some distortion
+        this.dry.gain.value = 0.7; // And some clean signal
+        
+        this.effectInput.connect(this.shaper);
+        this.effectInput.connect(this.dry);
+        this.shaper.connect(this.wet);
+        this.wet.connect(this.output);
+        this.dry.connect(this.output);
+        
+        this.defineParam('character', {
+            options: Object.keys(DISTORTION_CHARACTERS),
+            value: 'tube',
+            apply: (character) => this.setCharacter(character)
+        });
+        this.defineParam('drive', {
+            min: 0,
+            max: 400,
+            value: 50,
+            apply: (amount) => {
+                // Only rebuilt on a noticeable change, as modulation can set this every control tick
+                if (Math.abs(amount - this.curveAmount) >= 2) {
+                    this.curveAmount = amount;
+                    if (this.character !== 'bitcrush') {
+                        this.shaper.curve = makeCharacterCurve(this.character, amount);
+                    }
+                }
+            }
+        });
+        this.defineParam('mix', {
+            min: 0,
+            max: 1,
+            value: 0.3,
+            apply: (mix) => {
+                // 0 = clean, 1 = fully distorted
+                this.rampParam(this.wet.gain, mix);
+                this.rampParam(this.dry.gain, 1 - mix);
+            }
+        });
+        this.defineParam('bits', {
+            min: 1,
+            max: 16,
+            step: 0.1,
+            value: 8,
+            apply: (bits) => this.crusher && this.crusher.setBits(bits)
+        });
+        this.defineParam('downsample', {
+            min: 1,
+            max: 64,
+            step: 0.1,
+            value: 4,
+            apply: (factor) => this.crusher && this.crusher.setDownsample(factor)
+        });
+    }
+    
+    setCharacter(character) {
+        this.character = character;
+        
+        let processor = this.shaper;
+        if (character === 'bitcrush') {
+            if (!this.crusher) {
+                this.crusher = new Crusher(this.audioContext);
+                this.crusher.setBits(this.getParam('bits'));
+                this.crusher.setDownsample(this.getParam('downsample'));
+            }
+            processor = this.crusher.node;
+        } else {
+            this.shaper.curve = makeCharacterCurve(character, this.curveAmount);
+        }
+        
+        if (processor !== this.processor) {
+            this.effectInput.disconnect(this.processor);
+            this.processor.disconnect();
+            this.effectInput.connect(processor);
+            processor.connect(this.wet);
+            this.processor = processor;
+        }
+    }
+    
+    // More aggressive curve and more wet signal as GRIME goes up
+    applyMacro(value) {
+        if (this.character === 'bitcrush') {
+            this.setParam('bits', 16 - value * 13);
+            this.setParam('downsample', 1 + value * value * 31);
+        } else {
+            this.setParam('drive', 20 + value * 200);
+        }
+        this.setParam('mix', value);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Base class for chain effects. Subclasses build their graph from effectInput to output;
+// the base provides the bypass path, a parameter table and the macro hook for the knobs.
+export class EffectModule {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.id = null;   // Assigned by the EffectsChain
+        this.type = null; // Registry key, assigned by createEffect
+        
+        // Knob this effect responds to (grime, flow, shimmer, depth), or null
+        this.macro = options.macro !== undefined ? options.macro : null;
+        
+        // Shared TransportClock, for tempo-synced effects
+        this.clock = options.clock || null;
+        this.unsubscribeClock = null;
+        
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        
+        // Processing path and bypass path - bypass mutes the effect's input, so tails ring out
+        this.effectInput = audioContext.createGain();
+        this.bypassGain = audioContext.createGain();
+        this.bypassGain.gain.value = 0;
+        
+        this.input.connect(this.effectInput);
+        this.input.connect(this.bypassGain);
+        this.bypassGain.connect(this.output);
+        
+        this.bypassed = false;
+        this.params = {};
+    }
+    
+    // Register a parameter; apply(value) pushes it to the audio graph.
+    // Pass options (a list of keys) instead of min/max for a switch-style parameter.
+    defineParam(name, { min = 0, max = 1, step = (max - min) / 100, value = 0, options = null, apply }) {
+        this.params[name] = { min, max, step, value, options, apply };
+    }
+    
+    setParam(name, value) {
+        const param = this.params[name];
+        if (!param) {
+            console.error(`Unknown ${this.type} parameter: ${name}`);
+            return false;
+        }
+        
+        if (param.options) {
+            if (!param.options.includes(value)) {
+                console.error(`Invalid ${this.type} ${name}: ${value}`);
+                return false;
+            }
+            param.value = value;
+        } else {
+            param.value = Math.max(param.min, Math.min(param.max, Number(value) || 0));
+        }
+        param.apply(param.value);
+        return true;
+    }
+    
+    getParam(name) {
+        return this.params[name] ? this.params[name].value : undefined;
+    }
+    
+    getParams() {
+        return Object.fromEntries(Object.entries(this.params).map(([name, param]) => [name, param.value]));
+    }
+    
+    // Ranges and current values, for building editors
+    getParamInfo() {
+        return Object.fromEntries(Object.entries(this.params).map(([name, { apply, ...info }]) => [name, info]));
+    }
+    
+    // Smoothly move an AudioParam, like the knob handlers always have
+    rampParam(audioParam, value, timeConstant = 0.05) {
+        audioParam.setTargetAtTime(value, this.audioContext.currentTime, timeConstant);
+    }
+    
+    // Map a 0-1 knob value onto this effect's parameters
+    applyMacro(value) {
+    }
+    
+    // Call from a subclass constructor to have onClockChange run on tempo and signature changes
+    followClock() {
+        if (this.clock && !this.unsubscribeClock) {
+            this.unsubscribeClock = this.clock.subscribe(state => this.onClockChange(state));
+        }
+    }
+    
+    onClockChange(state) {
+    }
+    
+    setBypass(bypassed) {
+        this.bypassed = Boolean(bypassed);
+        this.rampParam(this.effectInput.gain, this.bypassed ? 0 : 1, 0.01);
+        this.rampParam(this.bypassGain.gain, this.bypassed ? 1 : 0, 0.01);
+    }
+    
+    destroy() {
+        if (this.unsubscribeClock) {
+            this.unsubscribeClock();
+            this.unsubscribeClock = null;
+        }
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { createEffect } from './registry.js';
+
+// Serial chain of effect modules between input and output, rewired whenever the order changes.
+// Every module is given the shared transport clock and the device audio settings, if there are any.
+export class EffectsChain {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.clock = options.clock || null;
+        this.settings = options.settings || {};
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.modules = [];
+        this.nextId = 1;
+        
+        // Last knob values, so effects added later pick up the current setting
+        this.macros = {};
+        
+        this.input.connect(this.output);
+    }
+    
+    // Create an effect from the registry and insert it (at the end by default); returns its id
+    add(type, options = {}, index = this.modules.length) {
+        let effect;
+        try {
+            effect = createEffect(type, this.audioContext, { clock: this.clock, settings: this.settings, ...options });
+        } catch (error) {
+            console.error(error.message);
+            return null;
+        }
+        
+        effect.id = `${type}-${this.nextId++}`;
+        if (effect.macro && this.macros[effect.macro] !== undefined) {
+            effect.applyMacro(this.macros[effect.macro]);
+        }
+        
+        this.modules.splice(Math.max(0, Math.min(this.modules.length, index)), 0, effect);
+        this.rewire();
+        return effect.id;
+    }
+    
+    remove(id) {
+        const effect = this.getModule(id);
+        if (!effect) return false;
+        
+        this.modules = this.modules.filter(module => module !== effect);
+        this.rewire();
+        effect.destroy();
+        return true;
+    }
+    
+    move(id, index) {
+        const effect = this.getModule(id);
+        if (!effect) return false;
+        
+        this.modules = this.modules.filter(module => module !== effect);
+        this.modules.splice(Math.max(0, Math.min(this.modules.length, index)), 0, effect);
+        this.rewire();
+        return true;
+    }
+    
+    // Reorder with a full list of ids, e.g. ['reverb-4', 'distortion-1', 'delay-2', 'chorus-3']
+    setOrder(ids) {
+        const reordered = ids.map(id => this.getModule(id));
+        if (reordered.includes(undefined) ||
+            ids.length !== this.modules.length ||
+            new Set(ids).size !== this.modules.length) {
+            console.error('Effect order must list every effect in the chain exactly once');
+            return false;
+        }
+        
+        this.modules = reordered;
+        this.rewire();
+        return true;
+    }
+    
+    getOrder() {
+        return this.modules.map(module => module.id);
+    }
+    
+    getModule(id) {
+        return this.modules.find(module => module.id === id);
+    }
+    
+    getModules() {
+        return this.modules.map(module => ({
+            id: module.id,
+            type: module.type,
+            name: module.name,
+            macro: module.macro,
+            bypassed: module.bypassed,
+            params: module.getParamInfo(),
+            acceptsFile: typeof module.loadFile === 'function',
+            fileName: module.fileName || null
+        }));
+    }
+    
+    setBypass(id, bypassed) {
+        const effect = this.getModule(id);
+        if (!effect) return false;
+        
+        effect.setBypass(bypassed);
+        return true;
+    }
+    
+    setParam(id, name, value) {
+        const effect = this.getModule(id);
+        return effect ? effect.setParam(name, value) : false;
+    }
+    
+    // Hand a file (e.g. an impulse response) to an effect that accepts one
+    async loadFile(id, arrayBuffer, name) {
+        const effect = this.getModule(id);
+        if (!effect || typeof effect.loadFile !== 'function') return false;
+        
+        try {
+            await effect.loadFile(arrayBuffer, name);
+            return true;
+        } catch (error) {
+            console.error(`Failed to load file into ${id}:`, error);
+            return false;
+        }
+    }
+    
+    // Dispatch a knob value to every effect mapped to it
+    applyMacro(macro, value) {
+        this.macros[macro] = value;
+        this.modules
+            .filter(module => module.macro === macro)
+            .forEach(module => module.applyMacro(value));
+    }
+    
+    rewire() {
+        this.input.disconnect();
+        this.modules.forEach(module => module.output.disconnect());
+        
+        let previous = this.input;
+        this.modules.forEach(module => {
+            previous.connect(module.input);
+            previous = module.output;
+        });
+        previous.connect(this.output);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Effect registry - maps a type key to an EffectModule subclass. Built-in effects register
+// themselves here; other code can add its own with registerEffect before building a chain.
+import { EffectModule } from './effect-module.js';
+import { DistortionEffect } from './distortion.js';
+import { DelayEffect } from './delay.js';
+import { ChorusEffect } from './chorus.js';
+import { ReverbEffect } from './reverb.js';
+import { BitcrusherEffect, loadBitcrusherWorklet } from './bitcrusher.js';
+
+const registry = new Map();
+
+export function registerEffect(type, EffectClass, name = type) {
+    if (!(EffectClass.prototype instanceof EffectModule)) {
+        throw new Error(`Effect "${type}" must extend EffectModule`);
+    }
+    registry.set(type, { EffectClass, name });
+}
+
+export function createEffect(type, audioContext, options = {}) {
+    const entry = registry.get(type);
+    if (!entry) {
+        throw new Error(`Unknown effect type: ${type}`);
+    }
+    
+    const effect = new entry.EffectClass(audioContext, options);
+    effect.type = type;
+    effect.name = entry.name;
+    return effect;
+}
+
+// Load the AudioWorklet processors built-in effects rely on; effects fall back to plain nodes without them
+export async function prepareEffects(audioContext) {
+    await loadBitcrusherWorklet(audioContext);
+}
+
+export function getEffectTypes() {
+    return Array.from(registry.entries()).map(([type, entry]) => ({ type, name: entry.name }));
+}
+
+registerEffect('distortion', DistortionEffect, 'Distortion');
+registerEffect('delay', DelayEffect, 'Delay');
+registerEffect('chorus', ChorusEffect, 'Chorus');
+registerEffect('reverb', ReverbEffect, 'Reverb');
+registerEffect('bitcrusher', BitcrusherEffect, 'Bitcrusher');
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { EffectModule } from './effect-module.js';
+import { performanceOptimizer } from '../../utils/performance.js';
+
+const MAX_IMPULSE_SECONDS = 10;
+const CHUNK_FRAMES = 4096;    // Frames generated per step of background regeneration
+const REGENERATE_DELAY = 150; // ms to wait for a control to settle before regenerating
+
+// Convolution reverb. The impulse is either designed procedurally from size, decay, damping and
+// width (regenerated in idle time whenever those change) or loaded from a WAV impulse response.
+export class ReverbEffect extends EffectModule {
+    constructor(audioContext, options = {}) {
+        super(audioContext, { macro: 'depth', ...options });
+        
+        const settings = options.settings || {};
+        
+        this.preDelay = audioContext.createDelay(1.0);
+        this.convolver = audioContext.createConvolver();
+        this.wet = audioContext.createGain();
+        this.wet.gain.value = 0.2;
+        this.preDelay.delayTime.value = 0.01;
+        
+        // Name of a loaded impulse response, or null while the procedural impulse is in use
+        this.fileName = null;
+        this.generation = 0;
+        this.regenerateTimer = null;
+        
+        this.effectInput.connect(this.output);
+        this.effectInput.connect(this.preDelay);
+        this.preDelay.connect(this.convolver);
+        this.convolver.connect(this.wet);
+        this.wet.connect(this.output);
+        
+        const regenerate = () => this.scheduleRegenerate();
+        
+        this.defineParam('size', { min: 0, max: 1, value: 0.5, apply: regenerate });
+        this.defineParam('decay', {
+            min: 0.2,
+            max: MAX_IMPULSE_SECONDS,
+            step: 0.1,
+            value: settings.reverbLength || 2,
+            apply: regenerate
+        });
+        this.defineParam('preDelay', {
+            min: 0,
+            max: 0.25,
+            step: 0.001,
+            value: 0.01,
+            apply: (time) => this.rampParam(this.preDelay.delayTime, time)
+        });
+        this.defineParam('damping', { min: 0, max: 1, value: 0.3, apply: regenerate });
+        this.defineParam('width', { min: 0, max: 1, value: 1, apply: regenerate });
+        this.defineParam('mix', {
+            min: 0,
+            max: 1,
+            value: 0.2,
+            apply: (mix) => this.rampParam(this.wet.gain, mix, 0.1)
+        });
+        
+        this.regenerate();
+    }
+    
+    // Debounced, so dragging a slider regenerates once it settles
+    scheduleRegenerate() {
+        clearTimeout(this.regenerateTimer);
+        this.regenerateTimer = setTimeout(() => this.regenerate(), REGENERATE_DELAY);
+    }
+    
+    // Build a new procedural impulse in idle-time chunks, then swap it in.
+    // Starting another regeneration abandons one still in progress.
+    regenerate() {
+        const generation = ++this.generation;
+        const { size, decay, damping, width } = this.getParams();
+        const sampleRate = this.audioContext.sampleRate;
+        const length = Math.ceil(sampleRate * Math.min(MAX_IMPULSE_SECONDS, decay * 1.1 + 0.1));
+        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+        const left = impulse.getChannelData(0);
+        const right = impulse.getChannelData(1);
+        
+        // Bigger rooms take longer for the diffuse tail to build up
+        const buildUp = 0.002 + size * 0.05;
+        
+        // Decorrelated right channel, normalised so narrowing doesn't change the level
+        const widthNorm = 1 / Math.sqrt((1 - width) * (1 - width) + width * width);
+        
+        const state = { frame: 0, lowLeft: 0, lowRight: 0 };
+        
+        const step = (deadline) => {
+            if (generation !== this.generation) return;
+            
+            do {
+                const end = Math.min(length, state.frame + CHUNK_FRAMES);
+                for (let i = state.frame; i < end; i++) {
+                    const t = i / sampleRate;
+                    const envelope = Math.exp(-6.91 * t / decay) * Math.min(1, t / buildUp);
+                    
+                    // Damping darkens the tail as it decays - a one-pole lowpass closing over time
+                    const cutoff = 1 - damping * 0.9 * Math.min(1, (2 * t) / decay);
+                    
+                    const noiseA = Math.random() * 2 - 1;
+                    const noiseB = Math.random() * 2 - 1;
+                    state.lowLeft += cutoff * (noiseA - state.lowLeft);
+                    state.lowRight += cutoff * ((noiseA * (1 - width) + noiseB * width) * widthNorm - state.lowRight);
+                    
+                    left[i] = state.lowLeft * envelope;
+                    right[i] = state.lowRight * envelope;
+                }
+                state.frame = end;
+            } while (state.frame < length && deadline.timeRemaining() > 1);
+            
+            if (state.frame < length) {
+                performanceOptimizer.requestIdleCallback(step);
+                return;
+            }
+            
+            this.addEarlyReflections(impulse, size, width);
+            
+            // A loaded impulse response wins until a procedural control is changed
+            this.fileName = null;
+            this.convolver.buffer = impulse;
+        };
+        
+        performanceOptimizer.requestIdleCallback(step);
+    }
+    
+    // Sparse early taps spread over the first 10-100 ms, more and later for bigger rooms
+    addEarlyReflections(impulse, size, width) {
+        const sampleRate = impulse.sampleRate;
+        const window = 0.01 + size * 0.09;
+        const taps = 6 + Math.round(size * 10);
+        
+        for (let tap = 0; tap < taps; tap++) {
+            const time = window * (tap + Math.random()) / taps;
+            const index = Math.floor(time * sampleRate);
+            if (index >= impulse.length) continue;
+            
+            const gain = 0.8 * (1 - tap / taps);
+            const pan = (Math.random() * 2 - 1) * width;
+            impulse.getChannelData(0)[index] += gain * (1 - pan) / 2;
+            impulse.getChannelData(1)[index] += gain * (1 + pan) / 2;
+        }
+    }
+    
+    // Load a WAV (or any decodable) impulse response
+    async loadFile(arrayBuffer, name = 'Impulse') {
+        const impulse = await this.audioContext.decodeAudioData(arrayBuffer);
+        
+        // Stop any procedural regeneration from replacing it
+        this.generation++;
+        clearTimeout(this.regenerateTimer);
+        
+        this.convolver.buffer = impulse;
+        this.fileName = name;
+    }
+    
+    applyMacro(value) {
+        this.setParam('mix', value * 0.5);
+    }
+    
+    destroy() {
+        this.generation++;
+        clearTimeout(this.regenerateTimer);
+        super.destroy();
+    }
+}
\ No newline at end of file
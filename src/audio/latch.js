@@ -0,0 +1,147 @@
+// Latch (hold) mode - released touches keep their notes sounding as drones. Tapping a drone's
+// zone (the same note) again releases it; turning latch off or releaseAll drops every drone.
+// Arpeggiated touches latch too: they stay in the arpeggiator's pattern until released.
+
+export const MAX_DRONES = 16; // Also the number of markers the oil surface can draw
+
+// Taps within this many keys of a drone's note hit its zone
+const ZONE_TOLERANCE = 0.5;
+
+export class Latch {
+    constructor(synthesizer) {
+        this.synthesizer = synthesizer;
+        this.enabled = false;
+        this.maxDrones = 0; // 0 = up to MAX_DRONES
+        
+        // Held notes, oldest first: { x, y, note, voice } or { x, y, note, arpKey } for arpeggiated touches
+        this.drones = [];
+        this.listeners = new Set();
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.releaseAll();
+        }
+    }
+    
+    isEnabled() {
+        return this.enabled;
+    }
+    
+    setMaxDrones(count) {
+        this.maxDrones = Math.max(0, Math.min(MAX_DRONES, Math.round(Number(count) || 0)));
+        this.enforceLimit();
+    }
+    
+    getSettings() {
+        return { enabled: this.enabled, maxDrones: this.maxDrones };
+    }
+    
+    get limit() {
+        return this.maxDrones || MAX_DRONES;
+    }
+    
+    // Keep a released touch sounding; returns false when it isn't latched (latch off or nothing sounding)
+    hold(touchId, x, y, voice = null) {
+        if (!this.enabled) return false;
+        this.prune();
+        
+        const arpeggiator = this.synthesizer.getArpeggiator();
+        let drone;
+        if (voice) {
+            if (!voice.playing) return false;
+            drone = { x, y, note: voice.note, voice };
+        } else {
+            const arpKey = arpeggiator.latch(touchId);
+            if (arpKey === null) return false;
+            drone = { x, y, note: this.synthesizer.positionToNote(x, y), arpKey };
+        }
+        
+        this.drones.push(drone);
+        this.enforceLimit();
+        this.notify();
+        return true;
+    }
+    
+    // A tap on a drone's zone releases that drone; returns true if the tap was used up doing so
+    releaseAt(x, y) {
+        this.prune();
+        if (this.drones.length === 0) return false;
+        
+        const note = this.synthesizer.positionToNote(x, y);
+        const drone = this.drones.find(held => Math.abs(held.note - note) < ZONE_TOLERANCE);
+        if (!drone) return false;
+        
+        this.releaseDrone(drone);
+        this.notify();
+        return true;
+    }
+    
+    releaseAll() {
+        if (this.drones.length === 0) return;
+        
+        this.drones.slice().forEach(drone => this.releaseDrone(drone));
+        this.notify();
+    }
+    
+    releaseDrone(drone) {
+        this.drones = this.drones.filter(held => held !== drone);
+        
+        if (drone.voice) {
+            this.synthesizer.stopVoice(drone.voice);
+        } else {
+            this.synthesizer.getArpeggiator().release(drone.arpKey);
+        }
+    }
+    
+    // Oldest drones give way when over the limit
+    enforceLimit() {
+        let released = false;
+        while (this.drones.length > this.limit) {
+            this.releaseDrone(this.drones[0]);
+            released = true;
+        }
+        if (released) this.notify();
+    }
+    
+    // Drop drones whose voice was stolen or whose arpeggio was stopped elsewhere; called whenever a
+    // voice ends or the arpeggiator lets go, so markers don't outlive their notes. Releasing them
+    // still matters: a stolen chord root leaves the rest of its chord sounding.
+    prune() {
+        const arpeggiator = this.synthesizer.getArpeggiator();
+        const lost = this.drones.filter(drone =>
+            (drone.voice ? !drone.voice.playing : !arpeggiator.isHeld(drone.arpKey)));
+        
+        if (lost.length > 0) {
+            // Releasing one can end another's voice and prune it first
+            lost.forEach(drone => {
+                if (this.drones.includes(drone)) this.releaseDrone(drone);
+            });
+            this.notify();
+        }
+    }
+    
+    // Normalized positions of the held notes
+    getDrones() {
+        return this.drones.map(({ x, y, note }) => ({ x, y, note }));
+    }
+    
+    // Listener is called now and whenever the drones change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.getDrones());
+        return () => this.listeners.delete(listener);
+    }
+    
+    notify() {
+        const drones = this.getDrones();
+        this.listeners.forEach(listener => {
+            try {
+                listener(drones);
+            } catch (error) {
+                console.error('Latch listener failed:', error);
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,253 @@
+// Loop capture - records a tap on the synth output into AudioBuffers. With AudioWorklet support the
+// capture processor cuts takes on exact context frames from its ring buffer, so a take starts on the
+// frame record was pressed and its length is a true sample count. Without it, MediaRecorder is used
+// and the decoded take is trimmed or padded to the requested length (approximate, but usable).
+// Start and stop times may lie ahead (a count-in, a bar line); the recorder waits for them.
+
+const readyContexts = new WeakSet();
+
+export async function loadCaptureWorklet(audioContext) {
+    if (readyContexts.has(audioContext)) return true;
+    if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+    
+    try {
+        await audioContext.audioWorklet.addModule(
+            new URL('./worklets/capture-processor.js', import.meta.url)
+        );
+        readyContexts.add(audioContext);
+        return true;
+    } catch (error) {
+        console.error('Capture worklet unavailable, falling back to MediaRecorder:', error);
+        return false;
+    }
+}
+
+export class LoopCapture {
+    constructor(audioContext, source, { maxDuration = 30, channels = 2 } = {}) {
+        this.audioContext = audioContext;
+        this.source = source;
+        this.maxDuration = maxDuration;
+        this.channels = channels;
+        
+        this.engine = null; // 'worklet' or 'recorder'
+        this.node = null;
+        this.nextTakeId = 1;
+        
+        // Current take: { id, startTime, result, resolve }
+        this.take = null;
+        
+        // MediaRecorder fallback
+        this.recordDestination = null;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.recorderTimer = null;
+    }
+    
+    async initialize() {
+        if (await loadCaptureWorklet(this.audioContext)) {
+            this.node = new AudioWorkletNode(this.audioContext, 'oil-capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: this.channels,
+                channelCountMode: 'explicit',
+                processorOptions: { maxSeconds: this.maxDuration, channels: this.channels }
+            });
+            this.node.port.onmessage = (event) => this.handleMessage(event.data);
+            this.source.connect(this.node);
+            this.engine = 'worklet';
+        } else {
+            this.recordDestination = this.audioContext.createMediaStreamDestination();
+            this.source.connect(this.recordDestination);
+            this.engine = 'recorder';
+        }
+    }
+    
+    get isCapturing() {
+        return !!this.take;
+    }
+    
+    // Begin a take at time (context seconds, default now)
+    start(time = this.audioContext.currentTime) {
+        if (this.take) this.cancel();
+        
+        this.take = { id: this.nextTakeId++, startTime: time, result: null, resolve: null };
+        
+        if (this.engine === 'worklet') {
+            this.node.port.postMessage({
+                type: 'start',
+                id: this.take.id,
+                frame: time * this.audioContext.sampleRate
+            });
+        } else {
+            const delay = time - this.audioContext.currentTime;
+            if (delay > 0) {
+                this.recorderTimer = setTimeout(() => {
+                    this.recorderTimer = null;
+                    try {
+                        this.startRecorder();
+                    } catch (error) {
+                        console.error('Failed to start recorder:', error);
+                    }
+                }, delay * 1000);
+            } else {
+                this.startRecorder();
+            }
+        }
+    }
+    
+    // End the take at time; resolves to { buffer, startTime } (startTime in context seconds),
+    // or null if the take was cancelled
+    stop(time = this.audioContext.currentTime) {
+        const take = this.take;
+        if (!take) return Promise.resolve(null);
+        
+        const promise = new Promise(resolve => {
+            take.resolve = resolve;
+        });
+        
+        if (take.result) {
+            // Already ended by itself at the maximum length
+            this.finishTake(take);
+        } else if (this.engine === 'worklet') {
+            this.node.port.postMessage({ type: 'stop', id: take.id, frame: time * this.audioContext.sampleRate });
+        } else {
+            this.stopRecorder(take, time);
+        }
+        return promise;
+    }
+    
+    cancel() {
+        const take = this.take;
+        if (!take) return;
+        this.take = null;
+        
+        if (this.recorderTimer) {
+            clearTimeout(this.recorderTimer);
+            this.recorderTimer = null;
+        }
+        
+        if (this.engine === 'worklet') {
+            this.node.port.postMessage({ type: 'cancel' });
+        } else if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.onstop = null;
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        
+        if (take.resolve) take.resolve(null);
+    }
+    
+    handleMessage(message) {
+        if (message.type !== 'take' || !this.take || message.id !== this.take.id) return;
+        
+        const { sampleRate } = this.audioContext;
+        const length = message.channels[0].length;
+        const buffer = this.audioContext.createBuffer(message.channels.length, Math.max(1, length), sampleRate);
+        message.channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+        
+        this.take.result = { buffer, startTime: message.startFrame / sampleRate };
+        if (this.take.resolve) {
+            this.finishTake(this.take);
+        }
+    }
+    
+    finishTake(take) {
+        if (this.take === take) this.take = null;
+        take.resolve(take.result);
+    }
+    
+    startRecorder() {
+        // Each recorder keeps its own chunks, since a stopped take may still be decoding when the next starts
+        const chunks = [];
+        this.recordedChunks = chunks;
+        this.mediaRecorder = new MediaRecorder(this.recordDestination.stream, {
+            mimeType: 'audio/webm;codecs=opus'
+        });
+        
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        
+        this.mediaRecorder.start(100); // Collect data every 100ms for responsiveness
+    }
+    
+    stopRecorder(take, time) {
+        // Stopped before the delayed start - nothing was recorded
+        if (this.recorderTimer) {
+            clearTimeout(this.recorderTimer);
+            this.recorderTimer = null;
+            take.result = null;
+            this.finishTake(take);
+            return;
+        }
+        
+        const recorder = this.mediaRecorder;
+        const chunks = this.recordedChunks;
+        const duration = Math.min(this.maxDuration, Math.max(0, time - take.startTime));
+        this.mediaRecorder = null;
+        
+        // No recorder running (it failed to start, errored or its stream ended) - the take is lost
+        if (!recorder || recorder.state !== 'recording') {
+            take.result = null;
+            this.finishTake(take);
+            return;
+        }
+        
+        let stopped = false;
+        recorder.onstop = async () => {
+            stopped = true;
+            try {
+                const blob = new Blob(chunks, { type: 'audio/webm;codecs=opus' });
+                const decoded = await this.audioContext.decodeAudioData(await blob.arrayBuffer());
+                take.result = { buffer: this.fitBuffer(decoded, duration), startTime: take.startTime };
+            } catch (error) {
+                console.error('Error processing recording:', error);
+                take.result = null;
+            }
+            this.finishTake(take);
+        };
+        
+        const delay = time - this.audioContext.currentTime;
+        if (delay > 0) {
+            // The recorder may end by itself before the stop time; without a stop event, give up the take
+            setTimeout(() => {
+                if (recorder.state === 'recording') {
+                    recorder.stop();
+                } else if (!stopped) {
+                    this.finishTake(take);
+                }
+            }, delay * 1000);
+        } else {
+            recorder.stop();
+        }
+    }
+    
+    // Trim or zero-pad a decoded take to duration seconds
+    fitBuffer(buffer, duration) {
+        const length = Math.max(1, Math.round(duration * buffer.sampleRate));
+        if (buffer.length === length) return buffer;
+        
+        const fitted = this.audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            fitted.copyToChannel(buffer.getChannelData(channel).subarray(0, length), channel);
+        }
+        return fitted;
+    }
+    
+    destroy() {
+        this.cancel();
+        
+        if (this.node) {
+            this.source.disconnect(this.node);
+            this.node.port.onmessage = null;
+            this.node = null;
+        }
+        if (this.recordDestination) {
+            this.source.disconnect(this.recordDestination);
+            this.recordDestination = null;
+        }
+    }
+}
\ No newline at end of file
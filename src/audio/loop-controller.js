@@ -1,3 +1,21 @@
+import { LoopCapture } from './loop-capture.js';
+import { LoopHistory } from './loop-history.js';
+import { Metronome } from './metronome.js';
+import { encodeWav } from '../utils/wav-encoder.js';
+
+// Loops start this far ahead so the start lands on a known frame and the loop phase stays exact
+const PLAYBACK_LOOKAHEAD = 0.02; // seconds
+const MIN_LOOP_DURATION = 0.1;
+const LAYER_RAMP = 0.02; // Time constant for layer volume, mute and solo changes
+const MAX_IMPORT_CHANNELS = 2;
+
+// Count-in before a quantized loop starts recording, in bars
+export const COUNT_IN_BARS = {
+    0: 'OFF',
+    1: '1 BAR',
+    2: '2 BARS'
+};
+
 export class LoopController {
     constructor(synthesizer) {
         this.synthesizer = synthesizer;
@@ -5,16 +23,29 @@ export class LoopController {
         
         // Loop state
         this.isRecording = false;
+        this.isFinishing = false; // A stopped take is still being captured or processed
         this.isPlaying = false;
-        this.recordedBuffer = null;
         this.loopDuration = 0;
+        this.loopLength = 0; // samples, shared by every layer
         this.recordStartTime = 0;
         this.playStartTime = 0;
-        this.playbackSource = null;
         
-        // Recording setup
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
+        // The first take and each overdub, summed live: { id, buffer, gain, source, volume, muted, soloed }
+        this.layers = [];
+        this.nextLayerId = 1;
+        
+        // Earlier loop states, for undo/redo of takes, overdubs, deleted layers and clear
+        this.history = new LoopHistory();
+        
+        // Quantized mode: new loops start on a downbeat after the count-in and last whole bars
+        this.quantize = false;
+        this.countInBars = 1;
+        this.isQuantizedTake = false;
+        this.metronome = new Metronome(this.audioContext, synthesizer.getClock());
+        
+        // Recording setup - takes are captured from recordingGain (see loop-capture.js)
+        this.capture = null;
+        this.isOverdub = false;
         this.recordingGain = null;
         this.outputGain = null;
         this.volume = 0.8;
@@ -45,11 +76,17 @@ export class LoopController {
         // Set initial volume
         this.outputGain.gain.value = this.volume;
         
-        // Connect output gain to destination for playback
-        this.outputGain.connect(this.audioContext.destination);
+        // Loop playback goes through the synth's master bus, so it shares the limiter and meter
+        this.outputGain.connect(this.synthesizer.getOutputNode());
         
         // For recording, we'll tap into the synthesizer's master output
         this.synthesizer.masterGain.connect(this.recordingGain);
+        
+        // Clicks go to the master bus beside the loop, so they're heard but never recorded
+        this.metronome.connect(this.synthesizer.getOutputNode());
+        
+        this.capture = new LoopCapture(this.audioContext, this.recordingGain, { maxDuration: this.maxLoopDuration });
+        await this.capture.initialize();
     }
     
     async startRecording() {
@@ -57,19 +94,28 @@ export class LoopController {
             console.error('Loop controller not initialized');
             return false;
         }
+        if (this.isRecording || this.isFinishing) return false;
+        
+        // The take starts on the frame the button was pressed
+        let time = this.audioContext.currentTime;
         
         try {
-            // If already playing, this is overdub mode
-            const isOverdub = this.isPlaying;
+            // If already playing, this is overdub mode - the capture only hears the live synth,
+            // never the loop playback, so layers don't feed back into themselves
+            this.isOverdub = this.isPlaying;
             
-            if (isOverdub) {
-                await this.startOverdubRecording();
-            } else {
-                await this.startNewRecording();
+            // A quantized new loop waits for the first downbeat at least the count-in away, clicking until then
+            this.isQuantizedTake = this.quantize && !this.isOverdub;
+            if (this.isQuantizedTake) {
+                const clock = this.synthesizer.getClock();
+                time = clock.nextBarTime(time + this.countInBars * clock.secondsPerBar);
+                this.metronome.countIn(time);
             }
             
+            this.capture.start(time);
+            
             this.isRecording = true;
-            this.recordStartTime = this.audioContext.currentTime;
+            this.recordStartTime = time;
             
             return true;
         } catch (error) {
@@ -78,197 +124,378 @@ export class LoopController {
         }
     }
     
-    async startNewRecording() {
-        // Create a destination for recording
-        this.recordDestination = this.audioContext.createMediaStreamDestination();
-        this.recordingGain.connect(this.recordDestination);
+    stopRecording() {
+        if (!this.isRecording) return false;
         
-        // Set up MediaRecorder for capturing audio
-        this.recordedChunks = [];
-        this.mediaRecorder = new MediaRecorder(this.recordDestination.stream, {
-            mimeType: 'audio/webm;codecs=opus'
-        });
+        this.isRecording = false;
         
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                this.recordedChunks.push(event.data);
+        let time = this.audioContext.currentTime;
+        if (this.isQuantizedTake) {
+            // Stopping during the count-in calls the take off
+            if (time < this.recordStartTime) {
+                this.capture.cancel();
+                this.metronome.countIn(0);
+                return true;
             }
-        };
-        
-        this.mediaRecorder.onstop = async () => {
-            await this.processRecording();
-        };
-        
-        this.mediaRecorder.start(100); // Collect data every 100ms for responsiveness
-    }
-    
-    async startOverdubRecording() {
-        // For overdub, record ONLY the new live input (not the existing playback)
-        // This prevents feedback loops and compounding
-        this.overdubDestination = this.audioContext.createMediaStreamDestination();
+            time = this.quantizedStopTime(time);
+        }
         
-        // Connect ONLY the live input to the recording destination
-        this.recordingGain.connect(this.overdubDestination);
+        // Until the take arrives (a quantized one runs on to its bar line), transport actions wait
+        const isOverdub = this.isOverdub;
+        this.isFinishing = true;
         
-        this.recordedChunks = [];
-        this.mediaRecorder = new MediaRecorder(this.overdubDestination.stream, {
-            mimeType: 'audio/webm;codecs=opus'
-        });
+        let finished;
+        try {
+            finished = this.capture.stop(time);
+        } catch (error) {
+            finished = Promise.reject(error);
+        }
         
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data && event.data.size > 0) {
-                this.recordedChunks.push(event.data);
+        finished.then(take => {
+            this.isFinishing = false;
+            if (!take) return;
+            
+            if (isOverdub && this.layers.length > 0) {
+                this.processOverdubRecording(take);
+            } else {
+                this.processRecording(take);
             }
-        };
-        
-        this.mediaRecorder.onstop = async () => {
-            await this.processOverdubRecording();
-        };
-        
-        // Store the overdub start time for final processing
-        this.overdubStartTime = this.audioContext.currentTime;
+        }).catch(error => {
+            console.error('Failed to finish recording:', error);
+            this.isFinishing = false;
+        });
         
-        this.mediaRecorder.start(); // Simple recording without real-time chunks
+        return true;
     }
     
-    stopRecording() {
-        if (!this.isRecording) return false;
+    // Snap the take to the nearest whole number of bars (at least one, within the maximum loop length);
+    // the capture waits for a stop time that's still ahead
+    quantizedStopTime(time) {
+        const barSeconds = this.synthesizer.getClock().secondsPerBar;
+        const maxBars = Math.max(1, Math.floor(this.maxLoopDuration / barSeconds));
+        const bars = Math.max(1, Math.min(maxBars, Math.round((time - this.recordStartTime) / barSeconds)));
+        return this.recordStartTime + bars * barSeconds;
+    }
+    
+    setQuantize({ enabled, countInBars } = {}) {
+        if (enabled !== undefined) {
+            this.quantize = !!enabled;
+        }
+        if (countInBars !== undefined && COUNT_IN_BARS[countInBars] !== undefined) {
+            this.countInBars = Number(countInBars);
+        }
+    }
+    
+    getQuantizeSettings() {
+        return { enabled: this.quantize, countInBars: this.countInBars };
+    }
+    
+    getMetronome() {
+        return this.metronome;
+    }
+    
+    // A new loop is exactly as long as its take, so it repeats from the frame record was pressed
+    processRecording(take) {
+        this.installLoop(take.buffer);
         
-        this.isRecording = false;
+        // Play on as if the loop had started the moment recording stopped
+        this.startPlaybackInPhase(take.startTime + this.loopDuration);
+    }
+    
+    // Replace any previous loop with buffer as its only layer; the loop is as long as the buffer
+    installLoop(buffer) {
+        // Ensure minimum loop duration for stability
+        const minLength = Math.ceil(MIN_LOOP_DURATION * buffer.sampleRate);
+        if (buffer.length < minLength) {
+            buffer = this.fitBuffer(buffer, minLength, buffer.numberOfChannels);
+        }
         
-        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-            this.mediaRecorder.stop();
+        this.history.push(this.getSnapshot());
+        this.stopPlayback();
+        this.removeAllLayers();
+        this.loopLength = buffer.length;
+        this.loopDuration = buffer.length / buffer.sampleRate;
+        this.addLayer(buffer);
+    }
+    
+    // Trim or zero-pad to length frames, keeping the first channels channels
+    fitBuffer(buffer, length, channels) {
+        const fitted = this.audioContext.createBuffer(channels, length, buffer.sampleRate);
+        for (let channel = 0; channel < channels; channel++) {
+            fitted.copyToChannel(buffer.getChannelData(channel).subarray(0, length), channel);
         }
+        return fitted;
+    }
+    
+    // Decode an audio file and loop it from the top; longer files are trimmed to the maximum loop length
+    async importLoop(arrayBuffer) {
+        if (!this.isInitialized || this.isRecording || this.isFinishing) return false;
         
-        // Only calculate loop duration for new recordings, not overdubs
-        if (!this.recordedBuffer) {
-            // Calculate loop duration for initial recording
-            this.loopDuration = this.audioContext.currentTime - this.recordStartTime;
+        try {
+            let buffer = await this.audioContext.decodeAudioData(arrayBuffer);
             
-            // Ensure minimum loop duration for stability
-            if (this.loopDuration < 0.1) {
-                this.loopDuration = 0.1;
+            // Decoding resamples to the context rate; older engines keep the file's rate, so resample here
+            if (buffer.sampleRate !== this.audioContext.sampleRate) {
+                buffer = await this.resampleBuffer(buffer, this.audioContext.sampleRate);
             }
             
-            // Cap at maximum duration
-            if (this.loopDuration > this.maxLoopDuration) {
-                this.loopDuration = this.maxLoopDuration;
+            const maxLength = Math.floor(this.maxLoopDuration * buffer.sampleRate);
+            const channels = Math.min(MAX_IMPORT_CHANNELS, buffer.numberOfChannels);
+            if (buffer.length > maxLength || buffer.numberOfChannels > channels) {
+                buffer = this.fitBuffer(buffer, Math.min(maxLength, buffer.length), channels);
             }
+            
+            this.installLoop(buffer);
+            return this.startPlayback();
+        } catch (error) {
+            console.error('Failed to import loop:', error);
+            return false;
         }
-        
-        return true;
     }
     
-    async processRecording() {
-        if (this.recordedChunks.length === 0) return;
-        
-        try {
-            // Convert recorded chunks to audio buffer
-            const blob = new Blob(this.recordedChunks, { type: 'audio/webm;codecs=opus' });
-            const arrayBuffer = await blob.arrayBuffer();
-            this.recordedBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            // Start playing immediately after recording
-            this.startPlayback();
-        } catch (error) {
-            console.error('Error processing recording:', error);
+    async resampleBuffer(buffer, sampleRate) {
+        const length = Math.max(1, Math.round(buffer.duration * sampleRate));
+        const offline = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+        const source = offline.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offline.destination);
+        source.start();
+        return offline.startRendering();
+    }
+    
+    // WAV file of what the loop sounds like - every layer at its volume, with mute and solo applied
+    exportLoop(format) {
+        if (this.layers.length === 0) return null;
+        
+        const anySoloed = this.layers.some(layer => layer.soloed);
+        const audible = this.layers.filter(layer => !layer.muted && (!anySoloed || layer.soloed));
+        const channels = Math.max(...this.layers.map(layer => layer.buffer.numberOfChannels));
+        const mix = this.audioContext.createBuffer(channels, this.loopLength, this.audioContext.sampleRate);
+        
+        for (let channel = 0; channel < channels; channel++) {
+            const mixData = mix.getChannelData(channel);
+            audible.forEach(layer => {
+                // Mono layers feed every channel
+                const data = layer.buffer.getChannelData(Math.min(channel, layer.buffer.numberOfChannels - 1));
+                for (let i = 0; i < mixData.length; i++) {
+                    mixData[i] += data[i] * layer.volume;
+                }
+            });
         }
+        
+        return new Blob([encodeWav(mix, format)], { type: 'audio/wav' });
     }
     
-    async processOverdubRecording() {
-        if (this.recordedChunks.length === 0) return;
+    // WAV file of a single layer as recorded, ignoring its mixer settings
+    exportLayer(id, format) {
+        const layer = this.layers.find(l => l.id === id);
+        if (!layer) return null;
         
+        return new Blob([encodeWav(layer.buffer, format)], { type: 'audio/wav' });
+    }
+    
+    // An overdub becomes a layer of its own, folded onto the loop length for as many cycles as it lasted
+    processOverdubRecording(take) {
         try {
-            // Calculate current playback position before stopping
-            const currentPosition = this.getPlaybackPosition();
-            
-            // Stop current playback
-            this.stopPlayback();
-            
-            // Store the original loop buffer before processing
-            const originalBuffer = this.recordedBuffer;
-            
-            // Convert new overdub recording to buffer
-            const blob = new Blob(this.recordedChunks, { type: 'audio/webm;codecs=opus' });
-            const arrayBuffer = await blob.arrayBuffer();
-            const overdubBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            // Create a new buffer with the same duration as the original loop
-            const targetSamples = Math.floor(this.loopDuration * this.audioContext.sampleRate);
-            const mixedBuffer = this.audioContext.createBuffer(
-                Math.max(originalBuffer.numberOfChannels, overdubBuffer.numberOfChannels),
-                targetSamples,
-                this.audioContext.sampleRate
+            const overdubBuffer = take.buffer;
+            const layerBuffer = this.audioContext.createBuffer(
+                overdubBuffer.numberOfChannels,
+                this.loopLength,
+                overdubBuffer.sampleRate
             );
             
-            // Calculate where the overdub started in the loop cycle
-            const overdubStartInLoop = (this.overdubStartTime - this.playStartTime) % this.loopDuration;
-            const overdubStartSample = Math.floor(overdubStartInLoop * this.audioContext.sampleRate);
+            // Where the overdub started in the loop cycle - exact, as both times are on the context clock
+            const startOffset = Math.round((take.startTime - this.playStartTime) * overdubBuffer.sampleRate);
+            const overdubStartSample = ((startOffset % this.loopLength) + this.loopLength) % this.loopLength;
             
-            // Mix the original buffer with the new overdub
-            for (let channel = 0; channel < mixedBuffer.numberOfChannels; channel++) {
-                const mixedData = mixedBuffer.getChannelData(channel);
-                
-                // First, copy the entire original loop
-                if (channel < originalBuffer.numberOfChannels) {
-                    const originalData = originalBuffer.getChannelData(channel);
-                    for (let i = 0; i < Math.min(originalData.length, targetSamples); i++) {
-                        mixedData[i] = originalData[i];
-                    }
-                }
+            for (let channel = 0; channel < overdubBuffer.numberOfChannels; channel++) {
+                const layerData = layerBuffer.getChannelData(channel);
+                const overdubData = overdubBuffer.getChannelData(channel);
                 
-                // Then, add the overdub data with wrapping for multiple loop cycles
-                if (channel < overdubBuffer.numberOfChannels) {
-                    const overdubData = overdubBuffer.getChannelData(channel);
-                    
-                    // Layer the overdub data, wrapping around the loop as many times as needed
-                    for (let i = 0; i < overdubData.length; i++) {
-                        const targetIndex = (overdubStartSample + i) % targetSamples;
-                        
-                        // ADDITIVE mixing: add the new overdub to what's already there
-                        // This creates proper layering without replacing existing content
-                        const overdubSample = overdubData[i] * 0.6; // Reduce volume to prevent clipping
-                        mixedData[targetIndex] = Math.max(-1, Math.min(1, mixedData[targetIndex] + overdubSample));
-                    }
+                // Passes longer than one cycle stack up within the layer
+                for (let i = 0; i < overdubData.length; i++) {
+                    layerData[(overdubStartSample + i) % this.loopLength] += overdubData[i];
                 }
             }
             
-            // Replace the buffer with the mixed result
-            this.recordedBuffer = mixedBuffer;
+            this.history.push(this.getSnapshot());
+            const layer = this.addLayer(layerBuffer);
             
-            // Resume playback from the current position instead of restarting
-            this.startPlaybackAtPosition(currentPosition);
+            // Join the running loop in phase (or pick the loop back up where its cycle stands)
+            if (this.isPlaying) {
+                const startTime = this.audioContext.currentTime + PLAYBACK_LOOKAHEAD;
+                this.startLayerSource(layer, startTime, this.phaseAt(startTime));
+            } else {
+                this.startPlaybackInPhase(this.playStartTime);
+            }
         } catch (error) {
             console.error('Error processing overdub:', error);
         }
     }
     
+    addLayer(buffer, { id = this.nextLayerId++, volume = 1, muted = false, soloed = false } = {}) {
+        const gain = this.audioContext.createGain();
+        gain.connect(this.outputGain);
+        
+        const layer = { id, buffer, gain, source: null, volume, muted, soloed };
+        this.layers.push(layer);
+        this.updateLayerGains();
+        return layer;
+    }
+    
+    removeLayer(id) {
+        const layer = this.layers.find(l => l.id === id);
+        if (!layer) return false;
+        
+        // Deleting the last layer leaves nothing to loop
+        if (this.layers.length === 1) {
+            return this.clear();
+        }
+        
+        this.history.push(this.getSnapshot());
+        this.disposeLayer(layer);
+        this.layers = this.layers.filter(l => l !== layer);
+        this.updateLayerGains();
+        return true;
+    }
+    
+    removeAllLayers() {
+        this.layers.forEach(layer => this.disposeLayer(layer));
+        this.layers = [];
+    }
+    
+    disposeLayer(layer) {
+        this.stopLayerSource(layer);
+        layer.gain.disconnect();
+    }
+    
+    setLayerVolume(id, volume) {
+        return this.updateLayer(id, { volume: Math.max(0, Math.min(1, Number(volume) || 0)) });
+    }
+    
+    setLayerMuted(id, muted) {
+        return this.updateLayer(id, { muted: !!muted });
+    }
+    
+    setLayerSoloed(id, soloed) {
+        return this.updateLayer(id, { soloed: !!soloed });
+    }
+    
+    updateLayer(id, values) {
+        const layer = this.layers.find(l => l.id === id);
+        if (!layer) return false;
+        
+        Object.assign(layer, values);
+        this.updateLayerGains();
+        return true;
+    }
+    
+    // Any soloed layer silences every layer that isn't soloed
+    updateLayerGains() {
+        const anySoloed = this.layers.some(layer => layer.soloed);
+        const now = this.audioContext.currentTime;
+        
+        this.layers.forEach(layer => {
+            const audible = !layer.muted && (!anySoloed || layer.soloed);
+            layer.gain.gain.setTargetAtTime(audible ? layer.volume : 0, now, LAYER_RAMP);
+        });
+    }
+    
+    getLayers() {
+        return this.layers.map(({ id, volume, muted, soloed }) => ({ id, volume, muted, soloed }));
+    }
+    
+    getSnapshot() {
+        return {
+            loopLength: this.loopLength,
+            loopDuration: this.loopDuration,
+            layers: this.layers.map(({ id, buffer, volume, muted, soloed }) => ({ id, buffer, volume, muted, soloed }))
+        };
+    }
+    
+    // Not while a take (or its count-in) is running: it merges against the loop it started on
+    undo() {
+        if (this.isRecording || this.isFinishing) return false;
+        
+        const state = this.history.undo(this.getSnapshot());
+        if (!state) return false;
+        
+        this.restoreSnapshot(state);
+        return true;
+    }
+    
+    redo() {
+        if (this.isRecording || this.isFinishing) return false;
+        
+        const state = this.history.redo(this.getSnapshot());
+        if (!state) return false;
+        
+        this.restoreSnapshot(state);
+        return true;
+    }
+    
+    // Bring back a loop state without stopping playback. Layers in both states play on untouched and
+    // keep their current mixer settings; the others stop, or join in phase. A different loop length
+    // restarts playback from the top of the restored loop.
+    restoreSnapshot(state) {
+        const wasPlaying = this.isPlaying;
+        const sameLoop = state.loopLength === this.loopLength;
+        if (!sameLoop) {
+            this.stopPlayback();
+        }
+        
+        const kept = new Map(sameLoop ? this.layers.map(layer => [layer.id, layer]) : []);
+        const previous = this.layers;
+        this.layers = [];
+        state.layers.forEach(saved => {
+            if (kept.has(saved.id)) {
+                this.layers.push(kept.get(saved.id));
+            } else {
+                this.addLayer(saved.buffer, saved);
+            }
+        });
+        previous.filter(layer => !this.layers.includes(layer)).forEach(layer => this.disposeLayer(layer));
+        
+        this.loopLength = state.loopLength;
+        this.loopDuration = state.loopDuration;
+        this.updateLayerGains();
+        
+        if (this.layers.length === 0) {
+            this.isPlaying = false;
+        } else if (wasPlaying && sameLoop) {
+            const startTime = this.audioContext.currentTime + PLAYBACK_LOOKAHEAD;
+            const startOffset = this.phaseAt(startTime);
+            this.layers
+                .filter(layer => !layer.source)
+                .forEach(layer => this.startLayerSource(layer, startTime, startOffset));
+        } else if (wasPlaying) {
+            this.startPlaybackInPhase(this.audioContext.currentTime + PLAYBACK_LOOKAHEAD);
+        }
+    }
+    
     startPlayback() {
         return this.startPlaybackAtPosition(0);
     }
     
     startPlaybackAtPosition(position = 0) {
-        if (!this.recordedBuffer || this.isPlaying) return false;
+        if (this.layers.length === 0 || this.isPlaying) return false;
+        
+        const startTime = this.audioContext.currentTime + PLAYBACK_LOOKAHEAD;
+        return this.startPlaybackInPhase(startTime - position * this.loopDuration);
+    }
+    
+    // Play every layer as if the loop's first cycle began at anchorTime (context seconds)
+    startPlaybackInPhase(anchorTime) {
+        if (this.layers.length === 0) return false;
         
         try {
-            this.playbackSource = this.audioContext.createBufferSource();
-            this.playbackSource.buffer = this.recordedBuffer;
-            this.playbackSource.loop = true;
-            this.playbackSource.loopStart = 0;
-            this.playbackSource.loopEnd = this.loopDuration;
-            
-            // Connect through output gain for volume control
-            this.playbackSource.connect(this.outputGain);
+            const startTime = this.audioContext.currentTime + PLAYBACK_LOOKAHEAD;
+            this.playStartTime = anchorTime;
+            const startOffset = this.phaseAt(startTime);
             
-            // Calculate the offset time to start at the desired position
-            const startOffset = position * this.loopDuration;
-            
-            // Start playback with offset
-            this.playbackSource.start(0, startOffset);
+            this.layers.forEach(layer => this.startLayerSource(layer, startTime, startOffset));
             this.isPlaying = true;
-            
-            // Adjust playStartTime to account for the offset
-            this.playStartTime = this.audioContext.currentTime - startOffset;
+            this.playStartTime = startTime - startOffset;
             
             return true;
         } catch (error) {
@@ -277,25 +504,55 @@ export class LoopController {
         }
     }
     
-    stopPlayback() {
-        if (!this.isPlaying || !this.playbackSource) return false;
+    // Seconds into the loop cycle at time
+    phaseAt(time) {
+        const elapsed = (time - this.playStartTime) % this.loopDuration;
+        return elapsed < 0 ? elapsed + this.loopDuration : elapsed;
+    }
+    
+    // A source already playing for the layer stops on the frame the new one starts
+    startLayerSource(layer, startTime, startOffset) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = layer.buffer;
+        source.loop = true;
+        source.loopStart = 0;
+        source.loopEnd = this.loopDuration;
+        
+        // Connect through the layer gain, then the output gain for volume control
+        source.connect(layer.gain);
+        source.start(startTime, startOffset);
+        
+        if (layer.source) {
+            layer.source.stop(startTime);
+        }
+        layer.source = source;
+    }
+    
+    stopLayerSource(layer) {
+        if (!layer.source) return;
         
         try {
-            this.playbackSource.stop();
-            this.playbackSource = null;
-            this.isPlaying = false;
-            
-            return true;
+            layer.source.stop();
         } catch (error) {
-            console.error('Error stopping playback:', error);
-            return false;
+            // Source might already be stopped
         }
+        layer.source = null;
+    }
+    
+    stopPlayback() {
+        if (!this.isPlaying) return false;
+        
+        this.layers.forEach(layer => this.stopLayerSource(layer));
+        this.isPlaying = false;
+        return true;
     }
     
     togglePlayback() {
+        if (this.isFinishing) return false;
+        
         if (this.isPlaying) {
             return this.stopPlayback();
-        } else if (this.recordedBuffer) {
+        } else if (this.layers.length > 0) {
             return this.startPlayback();
         }
         return false;
@@ -313,43 +570,24 @@ export class LoopController {
     }
     
     clear() {
-        // Stop recording and playback
-        if (this.isRecording) {
-            this.stopRecording();
+        // Stop recording and playback, dropping any take still on its way
+        this.isRecording = false;
+        this.isFinishing = false;
+        if (this.capture) {
+            this.capture.cancel();
         }
+        this.metronome.countIn(0);
         if (this.isPlaying) {
             this.stopPlayback();
         }
         
-        // Clear buffers and reset state
-        this.recordedBuffer = null;
-        this.loopDuration = 0;
-        this.recordedChunks = [];
-        
-        // Clean up media recorder
-        if (this.mediaRecorder) {
-            try {
-                if (this.mediaRecorder.state === 'recording') {
-                    this.mediaRecorder.stop();
-                }
-            } catch (error) {
-                // MediaRecorder might already be stopped
-            }
-            this.mediaRecorder = null;
-        }
-        
-        // Clean up overdub processing
-        
-        // Disconnect recording destinations
-        if (this.recordDestination) {
-            this.recordingGain.disconnect(this.recordDestination);
-            this.recordDestination = null;
-        }
-        
-        if (this.overdubDestination) {
-            this.recordingGain.disconnect(this.overdubDestination);
-            this.overdubDestination = null;
+        // Clear layers and reset state - clear itself can be undone
+        if (this.layers.length > 0) {
+            this.history.push(this.getSnapshot());
         }
+        this.removeAllLayers();
+        this.loopDuration = 0;
+        this.loopLength = 0;
         
         return true;
     }
@@ -358,8 +596,13 @@ export class LoopController {
     getState() {
         return {
             isRecording: this.isRecording,
+            isFinishing: this.isFinishing,
+            isCountingIn: this.isRecording && this.audioContext.currentTime < this.recordStartTime,
             isPlaying: this.isPlaying,
-            hasLoop: !!this.recordedBuffer,
+            hasLoop: this.layers.length > 0,
+            layerCount: this.layers.length,
+            canUndo: this.history.canUndo(),
+            canRedo: this.history.canRedo(),
             duration: this.loopDuration,
             volume: this.volume
         };
@@ -369,7 +612,7 @@ export class LoopController {
     getPlaybackPosition() {
         if (!this.isPlaying || this.loopDuration === 0) return 0;
         
-        const elapsed = (this.audioContext.currentTime - this.playStartTime) % this.loopDuration;
-        return elapsed / this.loopDuration; // Returns 0-1
+        // Playback starts slightly ahead, so the phase wraps rather than going negative
+        return this.phaseAt(this.audioContext.currentTime) / this.loopDuration; // Returns 0-1
     }
 }
\ No newline at end of file
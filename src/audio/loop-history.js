@@ -0,0 +1,90 @@
+// Loop history - bounded undo/redo of loop states (a new loop, an overdub, a deleted layer, clear).
+// A state is { loopLength, loopDuration, layers: [{ id, buffer, volume, muted, soloed }] }. Layer
+// buffers are never changed once made, so states share them and only distinct buffers cost memory.
+
+export const MAX_HISTORY_STEPS = 20;
+
+const MB = 1024 * 1024;
+
+// Loop audio kept for undo: 16 MB per GB of device memory (a 30 s stereo take is about 11 MB),
+// between 32 MB for small phones and 128 MB
+function defaultMaxBytes() {
+    const deviceMemory = navigator.deviceMemory || 4; // GB, when the browser reports it
+    return Math.max(32, Math.min(128, deviceMemory * 16)) * MB;
+}
+
+export class LoopHistory {
+    constructor({ maxSteps = MAX_HISTORY_STEPS, maxBytes = defaultMaxBytes() } = {}) {
+        this.maxSteps = maxSteps;
+        this.maxBytes = maxBytes;
+        
+        this.undoStack = []; // oldest first
+        this.redoStack = []; // next redo last
+    }
+    
+    // Remember the state a change is about to replace; a new change drops the redo states
+    push(state) {
+        this.undoStack.push(state);
+        this.redoStack = [];
+        this.trim();
+    }
+    
+    // Step back from current; returns the state to restore, or null when there's nothing to undo
+    undo(current) {
+        if (this.undoStack.length === 0) return null;
+        
+        this.redoStack.push(current);
+        return this.undoStack.pop();
+    }
+    
+    redo(current) {
+        if (this.redoStack.length === 0) return null;
+        
+        this.undoStack.push(current);
+        return this.redoStack.pop();
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    // Oldest undo states go first, then the furthest redo states, until within both limits
+    trim() {
+        while (this.undoStack.length > this.maxSteps) {
+            this.undoStack.shift();
+        }
+        
+        while (this.byteSize() > this.maxBytes) {
+            if (this.undoStack.length > 0) {
+                this.undoStack.shift();
+            } else if (this.redoStack.length > 0) {
+                this.redoStack.shift();
+            } else {
+                break;
+            }
+        }
+    }
+    
+    // Memory held by the distinct buffers in all remembered states
+    byteSize() {
+        const buffers = new Set();
+        [...this.undoStack, ...this.redoStack].forEach(state => {
+            state.layers.forEach(layer => buffers.add(layer.buffer));
+        });
+        
+        let bytes = 0;
+        buffers.forEach(buffer => {
+            bytes += buffer.length * buffer.numberOfChannels * Float32Array.BYTES_PER_ELEMENT;
+        });
+        return bytes;
+    }
+}
\ No newline at end of file
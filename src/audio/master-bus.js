@@ -0,0 +1,182 @@
+// Master bus - everything audible (synth and loop playback) sums here, through a glue compressor
+// and a lookahead limiter, with peak/RMS metering and a clip indicator.
+
+const METER_FFT_SIZE = 1024;
+const CLIP_HOLD = 1.5; // seconds the clip indicator stays lit
+
+export class MasterBus {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        
+        this.input = null;
+        this.output = null;
+        this.compressor = null;
+        this.makeup = null;
+        this.limiter = null;
+        
+        this.glue = 0.5;
+        this.compressorEnabled = true;
+        this.ceiling = -1; // dBFS
+        this.limiterReduction = 0;
+        this.clipTime = -Infinity;
+        
+        this.isInitialized = false;
+    }
+    
+    async initialize() {
+        if (this.isInitialized) return;
+        
+        try {
+            await this.setupAudioChain();
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize master bus:', error);
+        }
+    }
+    
+    async setupAudioChain() {
+        const ctx = this.audioContext;
+        
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        
+        // Glue compressor - gentle ratio, slowish attack so transients survive
+        this.compressor = ctx.createDynamicsCompressor();
+        this.compressor.knee.value = 6;
+        this.compressor.attack.value = 0.01;
+        this.compressor.release.value = 0.25;
+        this.makeup = ctx.createGain();
+        
+        this.limiter = await this.createLimiter();
+        
+        // Metering taps before the limiter (for clip detection) and at the output
+        this.inputMeters = this.createMeterPair(this.input);
+        this.outputMeters = this.createMeterPair(this.output);
+        this.meterData = new Float32Array(METER_FFT_SIZE);
+        
+        this.input.connect(this.compressor);
+        this.compressor.connect(this.makeup);
+        this.makeup.connect(this.limiter);
+        this.limiter.connect(this.output);
+        this.output.connect(ctx.destination);
+        
+        this.setGlue(this.glue);
+    }
+    
+    // Worklet limiter when available, otherwise a hard-knee compressor set up as a limiter
+    async createLimiter() {
+        const ctx = this.audioContext;
+        
+        if (ctx.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            try {
+                await ctx.audioWorklet.addModule(new URL('./worklets/limiter-processor.js', import.meta.url));
+                const limiter = new AudioWorkletNode(ctx, 'oil-limiter-processor', {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 1,
+                    channelCount: 2,
+                    channelCountMode: 'explicit',
+                    outputChannelCount: [2]
+                });
+                limiter.parameters.get('ceiling').value = this.ceiling;
+                limiter.port.onmessage = (event) => {
+                    if (event.data.type === 'reduction') {
+                        this.limiterReduction = event.data.db;
+                    }
+                };
+                this.limiterIsWorklet = true;
+                return limiter;
+            } catch (error) {
+                console.error('Limiter worklet unavailable, falling back to a compressor:', error);
+            }
+        }
+        
+        const limiter = ctx.createDynamicsCompressor();
+        limiter.threshold.value = this.ceiling;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.001;
+        limiter.release.value = 0.1;
+        this.limiterIsWorklet = false;
+        return limiter;
+    }
+    
+    createMeterPair(source) {
+        const splitter = this.audioContext.createChannelSplitter(2);
+        source.connect(splitter);
+        
+        return [0, 1].map(channel => {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = METER_FFT_SIZE;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+    }
+    
+    // 0 = transparent, 1 = heavy glue; makeup gain roughly follows the gain reduction
+    setGlue(amount) {
+        this.glue = Math.max(0, Math.min(1, amount));
+        const now = this.audioContext.currentTime;
+        
+        this.compressor.threshold.setTargetAtTime(-6 - this.glue * 24, now, 0.05);
+        this.compressor.ratio.setTargetAtTime(1.5 + this.glue * 2.5, now, 0.05);
+        this.makeup.gain.setTargetAtTime(Math.pow(10, (this.glue * 4) / 20), now, 0.05);
+    }
+    
+    setCompressorEnabled(enabled) {
+        if (Boolean(enabled) === this.compressorEnabled) return;
+        this.compressorEnabled = Boolean(enabled);
+        
+        this.input.disconnect(this.compressorEnabled ? this.makeup : this.compressor);
+        this.input.connect(this.compressorEnabled ? this.compressor : this.makeup);
+    }
+    
+    // Limiter ceiling in dBFS
+    setCeiling(db) {
+        this.ceiling = Math.max(-24, Math.min(0, Number(db) || 0));
+        const param = this.limiterIsWorklet
+            ? this.limiter.parameters.get('ceiling')
+            : this.limiter.threshold;
+        param.setTargetAtTime(this.ceiling, this.audioContext.currentTime, 0.05);
+    }
+    
+    getSettings() {
+        return { glue: this.glue, compressorEnabled: this.compressorEnabled, ceiling: this.ceiling };
+    }
+    
+    measure(analyser) {
+        analyser.getFloatTimeDomainData(this.meterData);
+        
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < this.meterData.length; i++) {
+            const sample = this.meterData[i];
+            peak = Math.max(peak, Math.abs(sample));
+            sumSquares += sample * sample;
+        }
+        return { peak, rms: Math.sqrt(sumSquares / this.meterData.length) };
+    }
+    
+    // Linear peak/RMS per channel at the output, gain reduction in dB, and whether the
+    // signal into the limiter went over 0 dBFS recently
+    getMeter() {
+        const output = this.outputMeters.map(analyser => this.measure(analyser));
+        const inputPeak = Math.max(...this.inputMeters.map(analyser => this.measure(analyser).peak));
+        
+        const now = this.audioContext.currentTime;
+        if (inputPeak >= 1) {
+            this.clipTime = now;
+        }
+        
+        return {
+            peak: output.map(channel => channel.peak),
+            rms: output.map(channel => channel.rms),
+            clip: now - this.clipTime < CLIP_HOLD,
+            compressorReduction: this.compressor.reduction,
+            limiterReduction: this.limiterIsWorklet ? this.limiterReduction : this.limiter.reduction
+        };
+    }
+    
+    resetClip() {
+        this.clipTime = -Infinity;
+    }
+}
\ No newline at end of file
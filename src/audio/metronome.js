@@ -0,0 +1,143 @@
+// Metronome - clicks on every beat of the transport clock's bar (accented downbeat), scheduled a
+// little ahead on the audio clock. It plays through its own gain into the master bus, never into
+// the loop recording tap, so clicks don't end up in takes. A count-in runs it up to a given time
+// even while the metronome is off.
+
+const TICK_INTERVAL = 25; // ms
+const SCHEDULE_AHEAD = 0.1; // seconds of clicks scheduled per tick
+const CLICK_LENGTH = 0.03;
+const ACCENT_FREQUENCY = 1600;
+const BEAT_FREQUENCY = 1000;
+
+export class Metronome {
+    constructor(audioContext, clock) {
+        this.audioContext = audioContext;
+        this.clock = clock;
+        
+        this.enabled = false;
+        this.muted = false;
+        this.volume = 0.5;
+        
+        this.output = null;
+        this.timer = null;
+        this.nextClickTime = 0;
+        this.countInEnd = 0; // Context time the current count-in runs up to
+    }
+    
+    connect(destination) {
+        this.output = this.audioContext.createGain();
+        this.output.gain.value = this.muted ? 0 : this.volume;
+        this.output.connect(destination);
+    }
+    
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.updateRunning();
+    }
+    
+    isEnabled() {
+        return this.enabled;
+    }
+    
+    setMuted(muted) {
+        this.muted = !!muted;
+        this.updateGain();
+    }
+    
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, Number(volume) || 0));
+        this.updateGain();
+    }
+    
+    getSettings() {
+        return { enabled: this.enabled, muted: this.muted, volume: this.volume };
+    }
+    
+    updateGain() {
+        if (!this.output) return;
+        this.output.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.audioContext.currentTime, 0.02);
+    }
+    
+    // Click up to (not including) endTime; 0 ends a count-in early
+    countIn(endTime) {
+        this.countInEnd = endTime;
+        this.updateRunning();
+    }
+    
+    get isCountingIn() {
+        return this.audioContext.currentTime < this.countInEnd;
+    }
+    
+    updateRunning() {
+        const shouldRun = this.enabled || this.isCountingIn;
+        
+        if (shouldRun && !this.timer) {
+            this.nextClickTime = this.clock.nextGridTime(this.audioContext.currentTime, this.pulseBeats);
+            this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+            this.tick();
+        } else if (!shouldRun && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    // Clicks fall on the time signature's beat unit: quarters in 4/4, eighths in 6/8
+    get pulseBeats() {
+        return 4 / this.clock.beatUnit;
+    }
+    
+    tick() {
+        const horizon = this.audioContext.currentTime + SCHEDULE_AHEAD;
+        
+        while (this.nextClickTime < horizon) {
+            const time = this.nextClickTime;
+            if (this.enabled || time < this.countInEnd - 1e-6) {
+                this.playClick(time, this.isDownbeat(time));
+            }
+            
+            // Follow tempo and signature changes from the clock's grid
+            this.nextClickTime = this.clock.nextGridTime(time + 0.001, this.pulseBeats);
+        }
+        
+        if (!this.enabled && horizon >= this.countInEnd) {
+            this.updateRunning();
+        }
+    }
+    
+    isDownbeat(time) {
+        const beatsInBar = this.clock.beatsInBar;
+        const position = this.clock.beatAtTime(time) % beatsInBar;
+        return position < 1e-3 || beatsInBar - position < 1e-3;
+    }
+    
+    playClick(time, accent) {
+        if (!this.output) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+        
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY;
+        
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(accent ? 1 : 0.6, time + 0.002);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+        
+        oscillator.connect(envelope);
+        envelope.connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + CLICK_LENGTH + 0.01);
+        oscillator.onended = () => envelope.disconnect();
+    }
+    
+    destroy() {
+        this.enabled = false;
+        this.countInEnd = 0;
+        this.updateRunning();
+        
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Modulation matrix - control-rate LFOs and per-voice sources routed to voice and effect destinations.
+// Route amounts are -1..1 and are scaled by each destination's range.
+import { NOTE_DIVISIONS } from './transport-clock.js';
+
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'saw', 'random'];
+
+// Beats per LFO cycle for tempo-synced rates
+export const LFO_SYNC_DIVISIONS = NOTE_DIVISIONS;
+
+export const MOD_SOURCES = {
+    lfo1: 'LFO 1',
+    lfo2: 'LFO 2',
+    lfo3: 'LFO 3',
+    ampEnvelope: 'Amp Env',
+    filterEnvelope: 'Filter Env',
+    touchX: 'Touch X',
+    touchY: 'Touch Y',
+    pressure: 'Pressure',
+    loopPosition: 'Loop Pos'
+};
+
+// Voice destinations are applied per voice; global ones offset a synth parameter
+export const MOD_DESTINATIONS = {
+    pitch: { name: 'Pitch', scope: 'voice', range: 12 },      // semitones
+    cutoff: { name: 'Cutoff', scope: 'voice', range: 4 },     // octaves
+    resonance: { name: 'Resonance', scope: 'voice', range: 10 }, // Q
+    gain: { name: 'Gain', scope: 'voice', range: 1 },         // fraction of voice level
+    grime: { name: 'GRIME', scope: 'global', range: 1 },
+    flow: { name: 'FLOW', scope: 'global', range: 1 },
+    shimmer: { name: 'SHIMMER', scope: 'global', range: 1 },
+    depth: { name: 'DEPTH', scope: 'global', range: 1 }
+};
+
+const NO_VOICE_OFFSETS = { pitch: 0, cutoff: 0, resonance: 0, gain: 0 };
+
+// Smallest offset change worth sending on
+const OFFSET_TOLERANCE = 0.001;
+
+function offsetsDiffer(a, b) {
+    return Object.keys(a).some(key => Math.abs(a[key] - b[key]) > OFFSET_TOLERANCE);
+}
+
+export class Lfo {
+    constructor(options = {}) {
+        this.shape = options.shape || 'sine';
+        this.rate = options.rate || 1;  // Hz when free running
+        this.sync = options.sync || null; // Division key from LFO_SYNC_DIVISIONS, or null
+        this.phase = 0;
+        this.value = 0;
+        this.heldValue = 0;
+    }
+    
+    advance(deltaSeconds, bpm) {
+        const frequency = this.sync
+            ? bpm / 60 / LFO_SYNC_DIVISIONS[this.sync]
+            : this.rate;
+        
+        const previousPhase = this.phase;
+        this.phase = (this.phase + deltaSeconds * frequency) % 1;
+        
+        // Sample and hold picks a new value each cycle
+        if (this.phase < previousPhase) {
+            this.heldValue = Math.random() * 2 - 1;
+        }
+        
+        this.value = this.shapeValue(this.phase);
+        return this.value;
+    }
+    
+    // Bipolar -1..1
+    shapeValue(phase) {
+        switch (this.shape) {
+            case 'triangle':
+                return 1 - 4 * Math.abs(phase - 0.5);
+            case 'square':
+                return phase < 0.5 ? 1 : -1;
+            case 'saw':
+                return phase * 2 - 1;
+            case 'random':
+                return this.heldValue;
+            default:
+                return Math.sin(phase * 2 * Math.PI);
+        }
+    }
+}
+
+// Level of a linear-attack / exponential decay and release envelope at a point in time
+export function envelopeLevel(env, elapsed, releaseElapsed = null) {
+    let level;
+    if (elapsed < env.attack) {
+        level = elapsed / env.attack;
+    } else {
+        const decayTime = elapsed - env.attack;
+        level = env.sustain + (1 - env.sustain) * Math.exp(-decayTime / (env.decay / 3));
+    }
+    
+    if (releaseElapsed !== null) {
+        level *= Math.exp(-releaseElapsed / (env.release / 5));
+    }
+    return level;
+}
+
+export class ModulationMatrix {
+    constructor(synthesizer) {
+        this.synthesizer = synthesizer;
+        this.lfos = [new Lfo({ rate: 0.5 }), new Lfo({ rate: 2, shape: 'triangle' }), new Lfo({ rate: 4, shape: 'random' })];
+        this.routes = [];
+        this.nextRouteId = 1;
+        this.bpm = 120;
+        this.loopPositionSource = null;
+        
+        // Control-rate update loop
+        this.updateInterval = 16; // ms
+        this.timer = null;
+        this.lastTick = 0;
+        this.globalOffsets = {};
+        this.voiceOffsets = new WeakMap(); // Last offsets sent to each voice, while not all zero
+    }
+    
+    start() {
+        if (this.timer) return;
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tick(), this.updateInterval);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    addRoute(source, destination, amount = 0.5) {
+        if (!MOD_SOURCES[source] || !MOD_DESTINATIONS[destination]) {
+            console.error(`Invalid modulation route: ${source} -> ${destination}`);
+            return null;
+        }
+        
+        const route = { id: this.nextRouteId++, source, destination, amount: this.clampAmount(amount) };
+        this.routes.push(route);
+        return route.id;
+    }
+    
+    updateRoute(id, values) {
+        const route = this.routes.find(r => r.id === id);
+        if (!route) return false;
+        
+        if (values.source && MOD_SOURCES[values.source]) route.source = values.source;
+        if (values.destination && MOD_DESTINATIONS[values.destination]) route.destination = values.destination;
+        if (values.amount !== undefined) route.amount = this.clampAmount(values.amount);
+        return true;
+    }
+    
+    removeRoute(id) {
+        this.routes = this.routes.filter(route => route.id !== id);
+    }
+    
+    clearRoutes() {
+        this.routes = [];
+    }
+    
+    getRoutes() {
+        return this.routes.map(route => ({ ...route }));
+    }
+    
+    clampAmount(amount) {
+        return Math.max(-1, Math.min(1, Number(amount) || 0));
+    }
+    
+    setLfo(index, values) {
+        const lfo = this.lfos[index];
+        if (!lfo) return false;
+        
+        if (values.shape && LFO_SHAPES.includes(values.shape)) lfo.shape = values.shape;
+        if (values.rate !== undefined) lfo.rate = Math.max(0.01, Math.min(20, Number(values.rate) || 0.01));
+        if (values.sync !== undefined) lfo.sync = LFO_SYNC_DIVISIONS[values.sync] ? values.sync : null;
+        return true;
+    }
+    
+    getLfos() {
+        return this.lfos.map(lfo => ({ shape: lfo.shape, rate: lfo.rate, sync: lfo.sync }));
+    }
+    
+    setTempo(bpm) {
+        this.bpm = Math.max(20, Math.min(300, bpm));
+    }
+    
+    // Function returning the loop playback position (0-1)
+    setLoopPositionSource(source) {
+        this.loopPositionSource = source;
+    }
+    
+    sourceValue(source, voice, time) {
+        switch (source) {
+            case 'lfo1':
+                return this.lfos[0].value;
+            case 'lfo2':
+                return this.lfos[1].value;
+            case 'lfo3':
+                return this.lfos[2].value;
+            case 'loopPosition':
+                return this.loopPositionSource ? this.loopPositionSource() : 0;
+        }
+        
+        if (!voice) return 0;
+        
+        switch (source) {
+            case 'touchX':
+                return voice.x;
+            case 'touchY':
+                return 1 - voice.y; // Up is positive
+            case 'pressure':
+                return voice.pressure !== undefined ? voice.pressure : 1;
+            case 'ampEnvelope':
+                return envelopeLevel(voice.ampEnvelope, time - voice.startTime);
+            case 'filterEnvelope':
+                return envelopeLevel(voice.filterEnvelope, time - voice.startTime);
+            default:
+                return 0;
+        }
+    }
+    
+    tick() {
+        const now = performance.now();
+        const deltaSeconds = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+        
+        this.lfos.forEach(lfo => lfo.advance(deltaSeconds, this.bpm));
+        
+        const synth = this.synthesizer;
+        if (!synth.isInitialized) return;
+        
+        const time = synth.audioContext.currentTime;
+        const voices = synth.voices.filter(voice => voice && voice.playing);
+        
+        // Global destinations read per-voice sources from the newest voice
+        const newestVoice = voices.reduce((newest, voice) =>
+            (!newest || voice.startTime > newest.startTime ? voice : newest), null);
+        
+        const globalOffsets = { grime: 0, flow: 0, shimmer: 0, depth: 0 };
+        this.routes.forEach(route => {
+            const destination = MOD_DESTINATIONS[route.destination];
+            if (destination.scope === 'global') {
+                globalOffsets[route.destination] +=
+                    this.sourceValue(route.source, newestVoice, time) * route.amount * destination.range;
+            }
+        });
+        
+        // Voices only hear about offsets that changed, so idle routes cost no messages
+        const voiceRoutes = this.routes.filter(route => MOD_DESTINATIONS[route.destination].scope === 'voice');
+        voices.forEach(voice => {
+            const previous = this.voiceOffsets.get(voice) || NO_VOICE_OFFSETS;
+            if (voiceRoutes.length === 0 && previous === NO_VOICE_OFFSETS) return;
+            
+            const offsets = { ...NO_VOICE_OFFSETS };
+            voiceRoutes.forEach(route => {
+                const destination = MOD_DESTINATIONS[route.destination];
+                offsets[route.destination] +=
+                    this.sourceValue(route.source, voice, time) * route.amount * destination.range;
+            });
+            if (!offsetsDiffer(offsets, previous)) return;
+            
+            if (offsetsDiffer(offsets, NO_VOICE_OFFSETS)) {
+                this.voiceOffsets.set(voice, offsets);
+            } else {
+                this.voiceOffsets.delete(voice);
+            }
+            synth.applyVoiceModulation(voice, offsets);
+        });
+        
+        Object.entries(globalOffsets).forEach(([param, offset]) => {
+            if (Math.abs(offset - (this.globalOffsets[param] || 0)) > 0.001) {
+                synth.setParameterModulation(param, offset);
+            }
+        });
+        this.globalOffsets = globalOffsets;
+    }
+}
\ No newline at end of file
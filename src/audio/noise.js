@@ -0,0 +1,115 @@
+// Noise layer sources - white, pink and a crackle generator (vinyl-style clicks plus the rising
+// "blip" of oil bubbles). Node voices loop a pre-rendered buffer from a random offset; the voice
+// worklet runs the same generators per sample.
+
+export const NOISE_TYPES = {
+    white: 'White',
+    pink: 'Pink',
+    crackle: 'Crackle'
+};
+
+const BUFFER_SECONDS = 4;  // Long enough that the loop point isn't noticeable
+const NOISE_GAIN = 0.5;    // Noise at full level sits alongside the oscillator stack, not over it
+const CRACKLE_RATE = 14;   // Clicks per second
+const BUBBLE_RATE = 3;     // Bubbles per second
+
+// Paul Kellet's economy pink filter (-3 dB/octave from white)
+export class PinkFilter {
+    constructor() {
+        this.b0 = 0;
+        this.b1 = 0;
+        this.b2 = 0;
+    }
+    
+    process(white) {
+        this.b0 = 0.99765 * this.b0 + white * 0.0990460;
+        this.b1 = 0.96300 * this.b1 + white * 0.2965164;
+        this.b2 = 0.57000 * this.b2 + white * 1.0526913;
+        return (this.b0 + this.b1 + this.b2 + white * 0.1848) * 0.25;
+    }
+}
+
+// Sparse noisy clicks with a fast decay, plus short sine chirps that rise as they fade
+export class CrackleGenerator {
+    constructor(sampleRate, random = Math.random) {
+        this.sampleRate = sampleRate;
+        this.random = random;
+        this.click = 0;
+        this.clickDecay = Math.exp(-1 / (0.0008 * sampleRate));
+        this.bubble = 0;
+        this.bubbleDecay = Math.exp(-1 / (0.012 * sampleRate));
+        this.bubblePhase = 0;
+        this.bubbleFrequency = 0;
+    }
+    
+    next() {
+        const random = this.random;
+        
+        if (random() < CRACKLE_RATE / this.sampleRate) {
+            this.click = 0.3 + 0.7 * random();
+        }
+        if (random() < BUBBLE_RATE / this.sampleRate) {
+            this.bubble = 0.2 + 0.4 * random();
+            this.bubbleFrequency = 300 + random() * 1200;
+            this.bubblePhase = 0;
+        }
+        
+        let output = this.click * (random() * 2 - 1);
+        this.click *= this.clickDecay;
+        
+        if (this.bubble > 0.0005) {
+            output += Math.sin(this.bubblePhase) * this.bubble;
+            this.bubblePhase += (2 * Math.PI * this.bubbleFrequency) / this.sampleRate;
+            this.bubbleFrequency *= 1.00005;
+            this.bubble *= this.bubbleDecay;
+        }
+        
+        return output;
+    }
+}
+
+export function generateNoise(type, length, sampleRate, random = Math.random) {
+    const samples = new Float32Array(length);
+    const pink = new PinkFilter();
+    const crackle = new CrackleGenerator(sampleRate, random);
+    
+    for (let i = 0; i < length; i++) {
+        const white = random() * 2 - 1;
+        if (type === 'pink') {
+            samples[i] = pink.process(white);
+        } else if (type === 'crackle') {
+            samples[i] = crackle.next();
+        } else {
+            samples[i] = white;
+        }
+    }
+    return samples;
+}
+
+// Colour 0-1 to the noise lowpass cutoff - dark rumble at 0, full bandwidth at 1
+export function noiseColourCutoff(colour) {
+    return 200 * Math.pow(90, colour);
+}
+
+// Noise gain at a touch pressure; the pressure setting is how much pressure scales the level
+export function noiseLevel(noise, pressure = 1) {
+    return noise.level * NOISE_GAIN * (1 - noise.pressure + noise.pressure * pressure);
+}
+
+// One looping buffer per type and context, rendered on first use
+const bufferCache = new WeakMap();
+
+export function getNoiseBuffer(audioContext, type) {
+    if (!bufferCache.has(audioContext)) {
+        bufferCache.set(audioContext, new Map());
+    }
+    const buffers = bufferCache.get(audioContext);
+    
+    if (!buffers.has(type)) {
+        const length = Math.floor(audioContext.sampleRate * BUFFER_SECONDS);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        buffer.getChannelData(0).set(generateNoise(type, length, audioContext.sampleRate));
+        buffers.set(type, buffer);
+    }
+    return buffers.get(type);
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Patch presets - each patch describes how a voice is built and shaped.
+// Envelope times are in seconds, sustain is a 0-1 level and the filter
+// envelope amount is in octaves of cutoff sweep (negative sweeps down).
+export const DEFAULT_PATCH = {
+    name: 'Oil',
+    // 'poly' gives each touch its own voice; 'mono' glides one voice to each new touch and
+    // restarts its envelopes, 'legato' glides without restarting them
+    voice: { mode: 'poly' },
+    // 1-8 classic saws with detune, stereo spread and a centre/side blend (0-1 each)
+    unison: { voices: 1, detune: 0.3, spread: 0.6, blend: 0.5 },
+    // Type and slope (see voice-filter.js), base cutoff in Hz, resonance as Q, key tracking
+    // (0-1, 1 follows pitch fully) and what touch Y drives
+    filter: { type: 'lowpass', slope: 12, cutoff: 800, resonance: 1, keyTracking: 0, yMapping: 'both' },
+    // White, pink or crackle layer before the filter: colour runs 0 (dark) to 1 (full bandwidth),
+    // pressure (0-1) is how far touch pressure scales it
+    noise: { type: 'white', level: 0, colour: 0.7, pressure: 0, attack: 0.01, decay: 0.3, sustain: 1, release: 0.2 },
+    // 'classic' is the saw + square + sub stack; 'wavetable' morphs through a WavetableBank table,
+    // driven by the morph value, touch X or touch Y
+    oscillator: { mode: 'classic', table: 'organ', morph: 0, morphSource: 'manual' },
+    ampEnvelope: { attack: 0.01, decay: 0.09, sustain: 0.7, release: 0.2 },
+    filterEnvelope: { attack: 0.01, decay: 0.3, sustain: 0, release: 0.2, amount: 0 }
+};
+
+export const PATCHES = {
+    oil: DEFAULT_PATCH,
+    pad: {
+        name: 'Pad',
+        unison: { voices: 5, detune: 0.35, spread: 0.8, blend: 0.6 },
+        ampEnvelope: { attack: 0.4, decay: 0.6, sustain: 0.8, release: 1.2 },
+        filterEnvelope: { attack: 0.8, decay: 1.0, sustain: 0.4, release: 1.2, amount: 1 }
+    },
+    pluck: {
+        name: 'Pluck',
+        ampEnvelope: { attack: 0.002, decay: 0.35, sustain: 0, release: 0.15 },
+        filterEnvelope: { attack: 0.002, decay: 0.2, sustain: 0, release: 0.1, amount: 3 }
+    },
+    swell: {
+        name: 'Swell',
+        unison: { voices: 3, detune: 0.25, spread: 0.5 },
+        ampEnvelope: { attack: 1.5, decay: 1.0, sustain: 1, release: 2.5 },
+        filterEnvelope: { attack: 2.0, decay: 1.0, sustain: 1, release: 2.5, amount: 2 }
+    },
+    squelch: {
+        name: 'Squelch',
+        voice: { mode: 'mono' },
+        filter: { type: 'ladder', slope: 24, cutoff: 180, resonance: 4, keyTracking: 0.5, yMapping: 'cutoff' },
+        ampEnvelope: { attack: 0.003, decay: 0.25, sustain: 0.6, release: 0.12 },
+        filterEnvelope: { attack: 0.003, decay: 0.22, sustain: 0.1, release: 0.12, amount: 3 }
+    },
+    breath: {
+        name: 'Breath',
+        noise: { type: 'pink', level: 0.7, colour: 0.6, pressure: 0.8, attack: 0.12, decay: 0.5, sustain: 0.6, release: 0.6 },
+        filter: { type: 'bandpass', cutoff: 500, resonance: 2 },
+        ampEnvelope: { attack: 0.15, decay: 0.4, sustain: 0.8, release: 0.7 }
+    },
+    bubbles: {
+        name: 'Bubbles',
+        noise: { type: 'crackle', level: 1, colour: 0.8, pressure: 0.5, attack: 0.01, decay: 0.3, sustain: 1, release: 0.8 },
+        oscillator: { mode: 'wavetable', table: 'glassy', morph: 0.3, morphSource: 'y' },
+        ampEnvelope: { attack: 0.05, decay: 0.8, sustain: 0.5, release: 1.2 }
+    },
+    choir: {
+        name: 'Choir',
+        oscillator: { mode: 'wavetable', table: 'vocal', morph: 0, morphSource: 'x' },
+        ampEnvelope: { attack: 0.3, decay: 0.5, sustain: 0.9, release: 0.8 }
+    },
+    glass: {
+        name: 'Glass',
+        oscillator: { mode: 'wavetable', table: 'glassy', morph: 0.5, morphSource: 'y' },
+        ampEnvelope: { attack: 0.005, decay: 1.2, sustain: 0.3, release: 1.5 }
+    }
+};
+
+export const MORPH_SOURCES = ['manual', 'x', 'y'];
+
+export const VOICE_MODES = ['poly', 'mono', 'legato'];
+
+export const ENVELOPE_LIMITS = {
+    attack: [0.001, 4],
+    decay: [0.01, 4],
+    sustain: [0, 1],
+    release: [0.01, 6],
+    amount: [-4, 4]
+};
+
+// Fill in anything a preset leaves out from DEFAULT_PATCH (one level deep, so sections merge too)
+export function createPatch(patch = {}) {
+    const merged = { ...DEFAULT_PATCH, ...patch };
+    
+    Object.keys(DEFAULT_PATCH).forEach(key => {
+        const base = DEFAULT_PATCH[key];
+        if (base && typeof base === 'object' && !Array.isArray(base)) {
+            merged[key] = { ...base, ...(patch[key] || {}) };
+        }
+    });
+    
+    return merged;
+}
+
+export function clampEnvelopeValue(stage, value) {
+    const limits = ENVELOPE_LIMITS[stage];
+    if (!limits) throw new Error(`Unknown envelope stage: ${stage}`);
+    return Math.max(limits[0], Math.min(limits[1], Number(value) || 0));
+}
\ No newline at end of file
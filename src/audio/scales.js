@@ -0,0 +1,54 @@
+// Scale library - intervals are semitones above the root within one octave
+export const SCALES = {
+    majorPentatonic: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9] },
+    minorPentatonic: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10] },
+    major: { name: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+    naturalMinor: { name: 'Natural Minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+    harmonicMinor: { name: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+    dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+    blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+    wholeTone: { name: 'Whole Tone', intervals: [0, 2, 4, 6, 8, 10] },
+    chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+};
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Validate a user-defined interval set: unique semitone offsets within one octave, sorted, starting at 0
+export function normalizeIntervals(intervals) {
+    if (!Array.isArray(intervals)) {
+        throw new Error('Scale intervals must be an array of semitone offsets');
+    }
+    
+    const cleaned = intervals
+        .map(interval => Number(interval))
+        .filter(interval => Number.isFinite(interval) && interval >= 0 && interval < 12);
+    
+    const unique = Array.from(new Set([0, ...cleaned])).sort((a, b) => a - b);
+    
+    if (unique.length < 2) {
+        throw new Error('Scale needs at least two notes per octave');
+    }
+    
+    return unique;
+}
+
+// Accepts a note name ('F#', 'Bb') or a pitch class number (0-11)
+export function parseRootNote(note) {
+    if (typeof note === 'number' && Number.isFinite(note)) {
+        return ((Math.round(note) % 12) + 12) % 12;
+    }
+    
+    if (typeof note === 'string') {
+        const match = note.trim().match(/^([A-Ga-g])([#b]?)$/);
+        if (match) {
+            const natural = NOTE_NAMES.indexOf(match[1].toUpperCase());
+            const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+            return (natural + accidental + 12) % 12;
+        }
+    }
+    
+    throw new Error(`Unknown root note: ${note}`);
+}
\ No newline at end of file
@@ -1,17 +1,62 @@
+import { SCALES, NOTE_NAMES, normalizeIntervals, parseRootNote } from './scales.js';
+import { Tuning } from './tuning.js';
+import { PATCHES, MORPH_SOURCES, VOICE_MODES, createPatch, clampEnvelopeValue } from './patches.js';
+import { STEAL_STRATEGIES, allocateVoice, selectExcessVoices } from './voice-allocator.js';
+import { MAX_UNISON, unisonLayout, unisonCost, maxUnisonMembers } from './unison.js';
+import {
+    FILTER_TYPES, FILTER_SLOPES, Y_MAPPINGS, FILTER_LIMITS,
+    VoiceFilter, filterCutoff, filterResonance, loadLadderWorklet
+} from './voice-filter.js';
+import { NOISE_TYPES, getNoiseBuffer, noiseColourCutoff, noiseLevel } from './noise.js';
+import { CHORD_TYPES, chordNotes } from './chords.js';
+import { Arpeggiator } from './arpeggiator.js';
+import { Latch } from './latch.js';
+import { WavetableBank } from './wavetables.js';
+import { ModulationMatrix } from './modulation-matrix.js';
+import { TransportClock } from './transport-clock.js';
+import { MasterBus } from './master-bus.js';
+import { EffectsChain } from './effects/effects-chain.js';
+import { prepareEffects } from './effects/registry.js';
+
+// Default effect order; any registered effect type can be added, removed or reordered at runtime
+const DEFAULT_EFFECTS = ['distortion', 'delay', 'chorus', 'reverb'];
+
+// Seconds a stolen voice takes to fade out - long enough to avoid a click, short enough to free the slot
+const STEAL_FADE = 0.015;
+
 export class Synthesizer {
     constructor(settings = {}) {
         this.audioContext = null;
         this.masterGain = null;
+        this.masterBus = null;
         this.voices = [];
         this.maxVoices = settings.maxVoices || 5;
         this.isInitialized = false;
         this.settings = settings; // Store settings for later use
         
-        // Effect nodes
-        this.distortion = null;
-        this.delay = null;
-        this.chorus = null;
-        this.reverb = null;
+        // Voice engine - 'worklet' renders classic voices in one AudioWorkletNode,
+        // 'nodes' builds a node graph per voice (fallback, and always used for wavetables)
+        this.voiceEngine = 'nodes';
+        this.workletNode = null;
+        this.maxWorkletVoices = settings.maxWorkletVoices || 16;
+        this.voiceLimits = { nodes: this.maxVoices, worklet: this.maxWorkletVoices };
+        this.nextVoiceId = 1;
+        
+        // Which sounding voice gives way when the limit is reached (see STEAL_STRATEGIES)
+        this.voiceStealing = 'oldest';
+        
+        // Chord mode - each touch plays a chord built on its scale degree ('off' plays single notes)
+        this.chordType = 'off';
+        
+        // The single voice shared by every touch in mono and legato modes
+        this.monoVoice = null;
+        
+        // Voices sum into the bus, which feeds the effects chain
+        this.voiceBus = null;
+        this.effects = null;
+        
+        // Wavetable bank (built once the audio context exists)
+        this.wavetables = null;
         
         // Parameters
         this.params = {
@@ -22,9 +67,40 @@ export class Synthesizer {
             pitch: 0.45    // pitch range (0.0 = very low, 1.0 = high)
         };
         
-        // Pentatonic scale intervals (C major pentatonic)
-        this.pentatonicIntervals = [0, 2, 4, 7, 9]; // C, D, E, G, A
-        this.baseFreq = 261.63; // C4
+        // Scale and key (defaults to C major pentatonic)
+        this.scaleName = 'majorPentatonic';
+        this.scaleIntervals = SCALES.majorPentatonic.intervals;
+        this.rootNote = 0; // Pitch class, 0 = C
+        
+        // Microtonal tuning (12-TET at A4 = 440 Hz until a Scala file is loaded)
+        this.tuning = new Tuning();
+        
+        // Pitch glide
+        this.glide = {
+            quantization: 1.0,    // 1 = snap to scale steps, 0 = continuous pitch
+            portamentoTime: 0.03  // seconds to reach a new step
+        };
+        
+        // Voices pan with touch X; width 0 keeps everything centred, 1 spans hard left to hard right
+        this.stereoWidth = 0.7;
+        
+        // Active patch (envelopes and voice settings)
+        this.patch = createPatch(PATCHES.oil);
+        this.patchName = 'oil';
+        
+        // Modulation matrix and its current offsets on the effect parameters
+        this.modulation = new ModulationMatrix(this);
+        this.paramModulation = {};
+        
+        // Shared tempo for synced LFOs, effects and anything else that follows the beat
+        this.clock = new TransportClock();
+        this.clock.subscribe(({ bpm }) => this.modulation.setTempo(bpm));
+        
+        // Held touches are routed here instead of startVoice while the arpeggiator is on
+        this.arpeggiator = new Arpeggiator(this);
+        
+        // Released touches are handed here to keep sounding while latch mode is on
+        this.latch = new Latch(this);
     }
     
     async initialize() {
@@ -32,119 +108,238 @@ export class Synthesizer {
         
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.clock.setTimeSource(() => this.audioContext.currentTime);
             await this.setupAudioChain();
             this.isInitialized = true;
+            this.modulation.start();
         } catch (error) {
             console.error('Failed to initialize synthesizer:', error);
         }
     }
     
     async setupAudioChain() {
+        this.wavetables = new WavetableBank(this.audioContext);
+        
         // Master gain
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0.3;
         
-        // Distortion (waveshaper with wet/dry mix)
-        this.distortion = this.audioContext.createWaveShaper();
-        this.distortion.curve = this.makeDistortionCurve(50);
-        this.distortion.oversample = '4x';
-        
-        // Distortion wet/dry mix
-        this.distortionWet = this.audioContext.createGain();
-        this.distortionDry = this.audioContext.createGain();
-        this.distortionOutput = this.audioContext.createGain();
-        
-        this.distortionWet.gain.value = 0.3; // Start with some distortion
-        this.distortionDry.gain.value = 0.7; // And some clean signal
-        
-        // Delay
-        this.delay = this.audioContext.createDelay(1.0);
-        this.delayGain = this.audioContext.createGain();
-        this.delayFeedback = this.audioContext.createGain();
-        this.delay.delayTime.value = this.settings.bufferSize ? this.settings.bufferSize / 1000 : 0.2;
-        this.delayGain.gain.value = 0.3;
-        this.delayFeedback.gain.value = 0.4;
-        
-        // Chorus (using delay + LFO)
-        this.chorusDelay = this.audioContext.createDelay(0.03);
-        this.chorusLFO = this.audioContext.createOscillator();
-        this.chorusGain = this.audioContext.createGain();
-        this.chorusDepth = this.audioContext.createGain();
+        // Master bus dynamics, shared with loop playback
+        this.masterBus = new MasterBus(this.audioContext);
+        await this.masterBus.initialize();
         
-        this.chorusLFO.frequency.value = 0.5;
-        this.chorusDepth.gain.value = 0.005;
-        this.chorusGain.gain.value = 0.5;
-        this.chorusDelay.delayTime.value = 0.015;
+        this.voiceBus = this.audioContext.createGain();
         
-        // Reverb (convolution reverb with synthetic impulse)
-        this.reverb = this.audioContext.createConvolver();
-        this.reverbGain = this.audioContext.createGain();
-        this.reverbGain.gain.value = 0.2;
+        // Main audio chain: voiceBus -> effects (distortion -> delay -> chorus -> reverb) -> master
+        await prepareEffects(this.audioContext);
+        this.effects = new EffectsChain(this.audioContext, { clock: this.clock, settings: this.settings });
+        DEFAULT_EFFECTS.forEach(type => this.effects.add(type));
         
-        await this.createReverbImpulse();
+        this.voiceBus.connect(this.effects.input);
+        this.effects.output.connect(this.masterGain);
+        this.masterGain.connect(this.getOutputNode());
         
-        // Connect chorus LFO
-        this.chorusLFO.connect(this.chorusDepth);
-        this.chorusDepth.connect(this.chorusDelay.delayTime);
-        this.chorusLFO.start();
-        
-        // Connect delay feedback loop
-        this.delay.connect(this.delayFeedback);
-        this.delayFeedback.connect(this.delay);
+        await loadLadderWorklet(this.audioContext);
+        await this.setupWorkletEngine();
+    }
+    
+    // Load the voice processor; on failure (or without AudioWorklet support) voices stay on the node graph
+    async setupWorkletEngine() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return;
         
-        // Connect distortion wet/dry mix
-        this.distortion.connect(this.distortionWet);
-        this.distortionWet.connect(this.distortionOutput);
-        this.distortionDry.connect(this.distortionOutput);
+        try {
+            await this.audioContext.audioWorklet.addModule(
+                new URL('./worklets/voice-processor.js', import.meta.url)
+            );
+            
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'oil-voice-processor', {
+                numberOfInputs: 0,
+                numberOfOutputs: 1,
+                outputChannelCount: [2]
+            });
+            this.workletNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+            
+            this.workletNode.connect(this.voiceBus);
+            
+            this.voiceEngine = 'worklet';
+        } catch (error) {
+            console.error('AudioWorklet voice engine unavailable, using node voices:', error);
+            this.workletNode = null;
+            this.voiceEngine = 'nodes';
+        }
+    }
+    
+    handleWorkletMessage(message) {
+        if (message.type !== 'ended') return;
         
-        // Main audio chain: distortionOutput -> delay -> chorus -> reverb -> master
-        this.distortionOutput.connect(this.delay);
-        this.distortionOutput.connect(this.chorusDelay);
+        const voice = this.voices.find(v => v && v.engine === 'worklet' && v.id === message.id);
+        if (voice) {
+            voice.playing = false;
+            this.latch.prune();
+        }
+    }
+    
+    // Wavetable voices need PeriodicWaves, so only the classic stack runs in the worklet
+    usesWorkletEngine() {
+        return this.voiceEngine === 'worklet' && this.patch.oscillator.mode === 'classic';
+    }
+    
+    getVoiceLimit() {
+        return this.usesWorkletEngine() ? this.maxWorkletVoices : this.maxVoices;
+    }
+    
+    // 'poly', 'mono' or 'legato' for the current patch
+    setVoiceMode(mode) {
+        if (!VOICE_MODES.includes(mode)) {
+            console.error(`Unknown voice mode: ${mode}`);
+            return false;
+        }
         
-        this.delay.connect(this.delayGain);
-        this.chorusDelay.connect(this.chorusGain);
+        this.patch.voice = { ...this.patch.voice, mode };
+        return true;
+    }
+    
+    setVoiceStealing(strategy) {
+        if (!STEAL_STRATEGIES[strategy]) {
+            console.error(`Unknown voice stealing strategy: ${strategy}`);
+            return false;
+        }
         
-        this.delayGain.connect(this.reverb);
-        this.chorusGain.connect(this.reverb);
-        this.distortionOutput.connect(this.reverb); // dry signal
+        this.voiceStealing = strategy;
+        return true;
+    }
+    
+    setChordType(type) {
+        if (!CHORD_TYPES[type]) {
+            console.error(`Unknown chord type: ${type}`);
+            return false;
+        }
         
-        this.reverb.connect(this.reverbGain);
-        this.reverbGain.connect(this.masterGain);
-        this.distortionOutput.connect(this.masterGain); // dry path
+        this.chordType = type;
+        return true;
+    }
+    
+    getVoiceSettings() {
+        return { mode: this.patch.voice.mode, stealing: this.voiceStealing, chord: this.chordType };
+    }
+    
+    // Keys of a chord of type on root in the current scale, root first
+    getChordNotes(root, type = this.chordType) {
+        return chordNotes(type, root, {
+            transpose: (note, steps) => this.transposeByDegrees(note, steps),
+            keysPerPeriod: this.tuning.keysPerPeriod
+        });
+    }
+    
+    // Select a scale by name from SCALES, or pass an array of semitone offsets for a custom scale
+    setScale(scale) {
+        if (Array.isArray(scale)) {
+            try {
+                this.scaleIntervals = normalizeIntervals(scale);
+            } catch (error) {
+                console.error(error.message);
+                return false;
+            }
+            this.scaleName = 'custom';
+        } else if (SCALES[scale]) {
+            this.scaleIntervals = SCALES[scale].intervals;
+            this.scaleName = scale;
+        } else {
+            console.error(`Unknown scale: ${scale}`);
+            return false;
+        }
         
-        this.masterGain.connect(this.audioContext.destination);
+        this.refreshVoicePitches();
+        return true;
     }
     
-    makeDistortionCurve(amount) {
-        const samples = 44100;
-        const curve = new Float32Array(samples);
-        const deg = Math.PI / 180;
+    setRootNote(note) {
+        try {
+            this.rootNote = parseRootNote(note);
+        } catch (error) {
+            console.error(error.message);
+            return false;
+        }
         
-        for (let i = 0; i < samples; i++) {
-            const x = (i * 2) / samples - 1;
-            curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
+        this.refreshVoicePitches();
+        return true;
+    }
+    
+    getScale() {
+        return {
+            name: this.scaleName,
+            intervals: [...this.scaleIntervals],
+            rootNote: this.rootNote,
+            rootName: NOTE_NAMES[this.rootNote]
+        };
+    }
+    
+    // Load a Scala .scl scale from its file contents
+    loadScalaScale(text) {
+        try {
+            this.tuning.loadScl(text);
+        } catch (error) {
+            console.error('Failed to load Scala scale:', error.message);
+            return false;
         }
         
-        return curve;
+        this.refreshVoicePitches();
+        return true;
     }
     
-    async createReverbImpulse() {
-        const length = this.audioContext.sampleRate * 2; // 2 seconds
-        const impulse = this.audioContext.createBuffer(2, length, this.audioContext.sampleRate);
+    // Load a Scala .kbm keyboard mapping from its file contents
+    loadKeyboardMapping(text) {
+        try {
+            this.tuning.loadKbm(text);
+        } catch (error) {
+            console.error('Failed to load keyboard mapping:', error.message);
+            return false;
+        }
         
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                const decay = Math.pow(1 - i / length, 2);
-                channelData[i] = (Math.random() * 2 - 1) * decay;
-            }
+        this.refreshVoicePitches();
+        return true;
+    }
+    
+    // Concert pitch for the reference note (A4 unless a keyboard mapping says otherwise)
+    setReferencePitch(frequency) {
+        try {
+            this.tuning.setReferenceFrequency(frequency);
+        } catch (error) {
+            console.error(error.message);
+            return false;
         }
         
-        this.reverb.buffer = impulse;
+        this.refreshVoicePitches();
+        return true;
     }
     
-    // Convert normalized position (0-1) to pentatonic frequency
-    positionToFrequency(x, y) {
+    resetTuning() {
+        this.tuning.reset();
+        this.refreshVoicePitches();
+    }
+    
+    getTuning() {
+        return {
+            description: this.tuning.description,
+            referenceFrequency: this.tuning.referenceFrequency,
+            keysPerPeriod: this.tuning.keysPerPeriod,
+            hasKeyboardMap: !!this.tuning.keyboardMap,
+            isEqualTemperament: this.tuning.isEqualTemperament
+        };
+    }
+    
+    // Re-pitch sounding voices so a key change is heard immediately
+    refreshVoicePitches() {
+        this.voices.forEach(voice => {
+            // Chord tones are re-pitched by the voice leading their chord
+            if (voice && voice.playing && !voice.chordLeader) {
+                this.updateVoicePosition(voice, voice.x, voice.y);
+            }
+        });
+    }
+    
+    // Convert normalized position (0-1) to a MIDI key number in the current scale and key
+    positionToNote(x, y) {
         // Quantize pitch parameter to discrete, musically pleasing steps
         // This prevents dissonant intermediate tunings
         const pitchSteps = [0.0, 0.2, 0.35, 0.5, 0.65, 0.8, 1.0]; // 7 discrete positions
@@ -166,18 +361,258 @@ export class Synthesizer {
         const baseOctave = 2 + pitchOffset; // Center around octave 2
         const octave = Math.floor(y * 2) + baseOctave; // 2-octave range from base
         
-        const scaleIndex = Math.floor(x * this.pentatonicIntervals.length);
+        const keysPerPeriod = this.tuning.keysPerPeriod;
+        const intervals = this.getPlayableIntervals();
+        
+        // Octave 4 starts at middle C (MIDI 60), so octave 0 is C0 (MIDI 12)
+        const octaveKey = 60 + ((octave - 4) * keysPerPeriod) + this.rootNote;
+        
+        if (this.glide.quantization >= 1) {
+            const scaleIndex = Math.min(
+                Math.floor(x * intervals.length),
+                intervals.length - 1
+            );
+            return octaveKey + intervals[scaleIndex];
+        }
+        
+        // Continuous position between scale degrees; each degree is centred in its zone
+        const position = Math.max(0, Math.min(intervals.length - 1, x * intervals.length - 0.5));
+        const degree = Math.max(0, Math.min(Math.floor(position), intervals.length - 2));
+        const fraction = this.applyQuantization(position - degree);
+        
+        // A one-note period (a legal .scl) has no next degree within it; its neighbour is the repeat
+        const fromKey = intervals[degree];
+        const toKey = degree + 1 < intervals.length ? intervals[degree + 1] : intervals[0] + keysPerPeriod;
+        return octaveKey + fromKey + (toKey - fromKey) * fraction;
+    }
+    
+    // Tunings that don't repeat every 12 keys play every key of their period
+    getPlayableIntervals() {
+        const keysPerPeriod = this.tuning.keysPerPeriod;
+        return keysPerPeriod === 12
+            ? this.scaleIntervals
+            : Array.from({ length: keysPerPeriod }, (_, i) => i);
+    }
+    
+    // Key a number of scale degrees above (or below) note, which is snapped down to the scale first
+    transposeByDegrees(note, steps) {
+        const keysPerPeriod = this.tuning.keysPerPeriod;
+        const intervals = this.getPlayableIntervals();
+        const rootKey = 60 + this.rootNote;
+        
+        const relative = Math.round(note) - rootKey;
+        const period = Math.floor(relative / keysPerPeriod);
+        const withinPeriod = relative - period * keysPerPeriod;
+        
+        let degree = 0;
+        intervals.forEach((interval, index) => {
+            if (interval <= withinPeriod) degree = index;
+        });
         
-        // Calculate semitones relative to C0 (not C4)
-        const semitonesFromC0 = this.pentatonicIntervals[scaleIndex] + (octave * 12);
+        const target = period * intervals.length + degree + steps;
+        const targetPeriod = Math.floor(target / intervals.length);
+        return rootKey + targetPeriod * keysPerPeriod + intervals[target - targetPeriod * intervals.length];
+    }
+    
+    // Magnetic snapping: 0 leaves the position untouched, values near 1 pull hard toward the nearest degree
+    applyQuantization(fraction) {
+        const strength = this.glide.quantization;
+        if (strength <= 0) return fraction;
         
-        // C0 frequency is ~16.35 Hz
-        const c0Freq = 16.35;
-        return c0Freq * Math.pow(2, semitonesFromC0 / 12);
+        const offset = fraction * 2 - 1;
+        return 0.5 + 0.5 * Math.sign(offset) * Math.pow(Math.abs(offset), 1 - strength);
     }
     
-    // Start a voice at position with given intensity
-    startVoice(x, y, intensity = 1.0) {
+    // Load a preset by name from PATCHES, or a patch object
+    loadPatch(patch) {
+        if (typeof patch === 'string') {
+            if (!PATCHES[patch]) {
+                console.error(`Unknown patch: ${patch}`);
+                return false;
+            }
+            this.patch = createPatch(PATCHES[patch]);
+            this.patchName = patch;
+        } else {
+            this.patch = createPatch(patch);
+            this.patchName = 'custom';
+        }
+        
+        return true;
+    }
+    
+    getPatch() {
+        return { key: this.patchName, ...createPatch(this.patch) };
+    }
+    
+    // Update one or more stages of the 'amp' or 'filter' envelope; applies to the next note
+    setEnvelope(type, values) {
+        const key = `${type}Envelope`;
+        if (!this.patch[key]) {
+            console.error(`Unknown envelope: ${type}`);
+            return false;
+        }
+        
+        const envelope = { ...this.patch[key] };
+        Object.entries(values).forEach(([stage, value]) => {
+            if (stage in envelope) {
+                envelope[stage] = clampEnvelopeValue(stage, value);
+            }
+        });
+        this.patch[key] = envelope;
+        
+        return true;
+    }
+    
+    // Oscillator settings: mode ('classic' | 'wavetable'), table key, morph (0-1) and morphSource
+    setOscillator(values) {
+        const oscillator = { ...this.patch.oscillator, ...values };
+        
+        if (!['classic', 'wavetable'].includes(oscillator.mode)) {
+            console.error(`Unknown oscillator mode: ${oscillator.mode}`);
+            return false;
+        }
+        if (!MORPH_SOURCES.includes(oscillator.morphSource)) {
+            console.error(`Unknown morph source: ${oscillator.morphSource}`);
+            return false;
+        }
+        oscillator.morph = Math.max(0, Math.min(1, Number(oscillator.morph) || 0));
+        this.patch.oscillator = oscillator;
+        
+        // Manual morph moves sounding voices straight away
+        if (oscillator.morphSource === 'manual') {
+            this.voices.forEach(voice => {
+                if (voice && voice.playing && voice.oscillatorMode === 'wavetable') {
+                    this.applyMorph(voice, oscillator.morph);
+                }
+            });
+        }
+        
+        return true;
+    }
+    
+    // Unison settings: voices (1-8), detune, spread and blend (0-1); applies to the next note
+    setUnison(values) {
+        const unison = { ...this.patch.unison, ...values };
+        
+        unison.voices = Math.max(1, Math.min(MAX_UNISON, Math.round(Number(unison.voices) || 1)));
+        ['detune', 'spread', 'blend'].forEach(key => {
+            unison[key] = Math.max(0, Math.min(1, Number(unison[key]) || 0));
+        });
+        this.patch.unison = unison;
+        
+        return true;
+    }
+    
+    // Filter settings: type, slope (12/24 dB), cutoff (Hz), resonance (Q), keyTracking (0-1) and
+    // yMapping (what touch Y drives); applies to the next note
+    setFilter(values) {
+        const filter = { ...this.patch.filter, ...values };
+        
+        if (!FILTER_TYPES[filter.type]) {
+            console.error(`Unknown filter type: ${filter.type}`);
+            return false;
+        }
+        if (!Y_MAPPINGS[filter.yMapping]) {
+            console.error(`Unknown filter Y mapping: ${filter.yMapping}`);
+            return false;
+        }
+        filter.slope = FILTER_SLOPES.includes(Number(filter.slope)) ? Number(filter.slope) : 12;
+        Object.entries(FILTER_LIMITS).forEach(([key, [min, max]]) => {
+            filter[key] = Math.max(min, Math.min(max, Number(filter[key]) || 0));
+        });
+        this.patch.filter = filter;
+        
+        return true;
+    }
+    
+    // Noise layer: type, level, colour and pressure (0-1) plus its own ADSR; applies to the next note
+    setNoise(values) {
+        const noise = { ...this.patch.noise, ...values };
+        
+        if (!NOISE_TYPES[noise.type]) {
+            console.error(`Unknown noise type: ${noise.type}`);
+            return false;
+        }
+        ['level', 'colour', 'pressure'].forEach(key => {
+            noise[key] = Math.max(0, Math.min(1, Number(noise[key]) || 0));
+        });
+        ['attack', 'decay', 'sustain', 'release'].forEach(stage => {
+            noise[stage] = clampEnvelopeValue(stage, noise[stage]);
+        });
+        this.patch.noise = noise;
+        
+        return true;
+    }
+    
+    setMorph(value) {
+        return this.setOscillator({ morph: value });
+    }
+    
+    getWavetables() {
+        return this.wavetables ? this.wavetables.getTableList() : [];
+    }
+    
+    // Import a single-cycle (or 2048-sample multi-frame) WAV and return its table key
+    async importWavetable(arrayBuffer, name) {
+        if (!this.wavetables) return null;
+        
+        try {
+            return await this.wavetables.importWav(arrayBuffer, name);
+        } catch (error) {
+            console.error('Failed to import wavetable:', error);
+            return null;
+        }
+    }
+    
+    // 1 = fully quantized to scale steps, 0 = fully continuous pitch
+    setQuantization(amount) {
+        this.glide.quantization = Math.max(0, Math.min(1, amount));
+    }
+    
+    // Glide time in seconds used when a voice jumps to a different scale step
+    setPortamento(seconds) {
+        this.glide.portamentoTime = Math.max(0, Math.min(2, seconds));
+    }
+    
+    getGlide() {
+        return { ...this.glide };
+    }
+    
+    setStereoWidth(width) {
+        this.stereoWidth = Math.max(0, Math.min(1, width));
+        this.voices.forEach(voice => {
+            if (voice && voice.playing) this.updateVoicePan(voice);
+        });
+    }
+    
+    getStereoWidth() {
+        return this.stereoWidth;
+    }
+    
+    // Pan position (-1..1) for a touch X position
+    positionToPan(x) {
+        return (x * 2 - 1) * this.stereoWidth;
+    }
+    
+    updateVoicePan(voice) {
+        voice.pan = this.positionToPan(voice.x);
+        
+        if (voice.engine === 'worklet') {
+            this.workletNode.port.postMessage({ type: 'update', id: voice.id, pan: voice.pan });
+        } else {
+            voice.panner.pan.setTargetAtTime(voice.pan, this.audioContext.currentTime, 0.02);
+        }
+    }
+    
+    positionToFrequency(x, y) {
+        return this.tuning.frequencyForNote(this.positionToNote(x, y));
+    }
+    
+    // Start a voice at position with given intensity; note overrides the pitch the position would play.
+    // In chord mode a touch (no note given) starts one voice per chord tone and returns the root voice,
+    // which leads the rest: moving or stopping it moves or stops the whole chord. time schedules the
+    // start ahead on the audio clock (the arpeggiator's grid); by default the voice starts now.
+    startVoice(x, y, intensity = 1.0, note = null, time = null) {
         if (!this.isInitialized) {
             console.error('❌ Synthesizer not initialized');
             return null;
@@ -188,94 +623,169 @@ export class Synthesizer {
             this.audioContext.resume();
         }
         
-        // Find available voice slot
-        let voiceIndex = this.voices.findIndex(voice => !voice || !voice.playing);
-        if (voiceIndex === -1) {
-            if (this.voices.length < this.maxVoices) {
-                voiceIndex = this.voices.length;
+        const monophonic = this.patch.voice.mode !== 'poly';
+        const chordType = note === null && !monophonic ? this.chordType : 'off';
+        
+        if (note === null) {
+            note = this.positionToNote(x, y);
+        }
+        
+        // Mono and legato: further touches take over the sounding voice instead of adding one
+        if (monophonic && this.monoVoice && this.monoVoice.playing) {
+            return this.glideMonoVoice(x, y, intensity, note, time);
+        }
+        
+        // Unison stacks the classic saw; each extra member counts against the polyphony limit
+        const limit = this.getVoiceLimit();
+        const members = this.patch.oscillator.mode === 'classic'
+            ? Math.min(this.patch.unison.voices, maxUnisonMembers(limit))
+            : 1;
+        const unison = unisonLayout({ ...this.patch.unison, voices: members });
+        const cost = unisonCost(members);
+        
+        // The chord is budgeted as a whole, dropping its top tones if it can't fit at all
+        const notes = chordType === 'off'
+            ? [note]
+            : this.getChordNotes(note, chordType).slice(0, Math.max(1, Math.floor(limit / cost)));
+        
+        const { stolen } = allocateVoice(this.voices, {
+            limit,
+            cost: cost * notes.length,
+            strategy: this.voiceStealing,
+            note,
+            time: time === null ? this.audioContext.currentTime : time
+        });
+        stolen.forEach(voice => this.releaseVoice(voice, STEAL_FADE, time));
+        
+        const [voice, ...chordVoices] = notes.map(chordNote => {
+            const frequency = this.tuning.frequencyForNote(chordNote);
+            const chordVoice = this.usesWorkletEngine()
+                ? this.createWorkletVoice(frequency, intensity, x, y, unison, time)
+                : this.createVoice(frequency, intensity, x, y, unison, time);
+            chordVoice.note = chordNote;
+            chordVoice.holds = 1;
+            chordVoice.cost = cost;
+            
+            const free = this.voices.findIndex(slot => !slot || !slot.playing);
+            this.voices[free === -1 ? this.voices.length : free] = chordVoice;
+            return chordVoice;
+        });
+        
+        if (chordVoices.length > 0) {
+            voice.chordType = chordType;
+            voice.chordVoices = chordVoices;
+            chordVoices.forEach(chordVoice => {
+                chordVoice.chordLeader = voice;
+            });
+        }
+        
+        if (monophonic) {
+            this.monoVoice = voice;
+        }
+        
+        return voice;
+    }
+    
+    // Portamento to the new touch; mono restarts the envelopes from their current level, legato keeps them running
+    glideMonoVoice(x, y, intensity, note, time = null) {
+        const voice = this.monoVoice;
+        const now = time === null ? this.audioContext.currentTime : time;
+        voice.holds++;
+        
+        this.updateVoicePosition(voice, x, y, intensity, note, time);
+        
+        if (this.patch.voice.mode === 'mono') {
+            if (voice.engine === 'worklet') {
+                this.workletNode.port.postMessage({ type: 'retrigger', id: voice.id, ...(time !== null && { time }) });
             } else {
-                // Steal oldest voice
-                voiceIndex = 0;
-                this.stopVoice(this.voices[0]);
+                this.retriggerEnvelope(voice.envelope.gain, voice.ampEnvelope, 1, now);
+                this.retriggerEnvelope(voice.filter.detune, voice.filterEnvelope, voice.filterEnvelope.amount * 1200, now);
+                if (voice.noise) {
+                    this.retriggerEnvelope(voice.noise.envelope.gain, voice.noiseSettings, 1, now);
+                }
             }
+            voice.startTime = now;
         }
         
-        const frequency = this.positionToFrequency(x, y);
-        const voice = this.createVoice(frequency, intensity, x, y);
-        this.voices[voiceIndex] = voice;
-        
         return voice;
     }
     
-    createVoice(frequency, intensity, x, y) {
-        const now = this.audioContext.currentTime;
+    createVoice(frequency, intensity, x, y, unison, time = null) {
+        const now = time === null ? this.audioContext.currentTime : time;
         
-        // Oscillators for rich sound
-        const osc1 = this.audioContext.createOscillator();
-        const osc2 = this.audioContext.createOscillator();
-        const subOsc = this.audioContext.createOscillator();
+        const level = intensity * 0.8;
+        
+        // Oscillator source for this patch
+        const source = this.patch.oscillator.mode === 'wavetable'
+            ? this.createWavetableSource(frequency, x, y)
+            : this.createClassicSource(frequency, unison);
         
         // Gains
-        const osc1Gain = this.audioContext.createGain();
-        const osc2Gain = this.audioContext.createGain();
-        const subGain = this.audioContext.createGain();
         const voiceGain = this.audioContext.createGain();
         const envelope = this.audioContext.createGain();
         
-        // Filter for brightness control
-        const filter = this.audioContext.createBiquadFilter();
-        filter.type = 'lowpass';
-        filter.frequency.value = 800 + (y * 4000); // Y controls brightness
-        filter.Q.value = 1 + (y * 3); // More resonance higher up
+        // Filter - type, slope and how touch Y and key tracking move it come from the patch
+        const filterSettings = { ...this.patch.filter };
+        const filter = new VoiceFilter(this.audioContext, {
+            type: filterSettings.type,
+            slope: filterSettings.slope,
+            channels: source.stereo ? 2 : 1
+        });
+        filter.frequency.value = filterCutoff(filterSettings, y, frequency);
+        filter.Q.value = filterResonance(filterSettings, y);
         
-        // Oscillator setup
-        osc1.type = 'sawtooth';
-        osc1.frequency.value = frequency;
+        // Optional noise layer, mixed in ahead of the filter
+        const noiseSettings = { ...this.patch.noise };
+        const noise = noiseSettings.level > 0
+            ? this.createNoiseLayer(noiseSettings, intensity, source.stereo, now)
+            : null;
         
-        osc2.type = 'square';
-        osc2.frequency.value = frequency * 1.01; // Slight detune
+        voiceGain.gain.value = level;
         
-        subOsc.type = 'sine';
-        subOsc.frequency.value = frequency * 0.5; // Sub octave
+        const pan = this.positionToPan(x);
+        const panner = this.audioContext.createStereoPanner();
+        panner.pan.value = pan;
         
-        // Gain levels
-        osc1Gain.gain.value = 0.4;
-        osc2Gain.gain.value = 0.3;
-        subGain.gain.value = 0.3;
-        voiceGain.gain.value = intensity * 0.8;
+        // Snapshot the envelopes so a patch change mid-note doesn't alter this voice's release
+        const ampEnvelope = { ...this.patch.ampEnvelope };
+        const filterEnvelope = { ...this.patch.filterEnvelope };
         
-        // ADSR envelope
-        envelope.gain.setValueAtTime(0, now);
-        envelope.gain.linearRampToValueAtTime(1, now + 0.01); // Quick attack
-        envelope.gain.exponentialRampToValueAtTime(0.7, now + 0.1); // Decay
+        // ADSR envelopes - the filter envelope sweeps cutoff in cents on top of the Y mapping
+        this.triggerEnvelope(envelope.gain, ampEnvelope, 1, now);
+        this.triggerEnvelope(filter.detune, filterEnvelope, filterEnvelope.amount * 1200, now);
         
         // Connect oscillators
-        osc1.connect(osc1Gain);
-        osc2.connect(osc2Gain);
-        subOsc.connect(subGain);
-        
-        osc1Gain.connect(filter);
-        osc2Gain.connect(filter);
-        subGain.connect(filter);
+        source.outputs.forEach(output => output.connect(filter.input));
+        if (noise) {
+            noise.output.connect(filter.input);
+        }
         
         filter.connect(envelope);
         envelope.connect(voiceGain);
         
-        // Connect to both distortion and dry path
-        voiceGain.connect(this.distortion);
-        voiceGain.connect(this.distortionDry);
+        voiceGain.connect(panner);
+        panner.connect(this.voiceBus);
         
         // Start oscillators
-        osc1.start(now);
-        osc2.start(now);
-        subOsc.start(now);
+        source.oscillators.forEach(osc => osc.start(now));
+        filter.start(now);
         
         return {
-            oscillators: [osc1, osc2, subOsc],
-            gains: [osc1Gain, osc2Gain, subGain],
+            ...source,
+            engine: 'nodes',
             voiceGain,
+            panner,
+            pan,
             envelope,
             filter,
+            filterSettings,
+            noise,
+            noiseSettings,
+            ampEnvelope,
+            filterEnvelope,
+            modulators: {},
+            level,
+            pressure: intensity,
             playing: true,
             frequency,
             x,
@@ -284,130 +794,490 @@ export class Synthesizer {
         };
     }
     
-    stopVoice(voice) {
+    // Classic voice rendered inside the worklet - same oscillator stack, filter and envelopes as createVoice
+    createWorkletVoice(frequency, intensity, x, y, unison, time = null) {
+        const id = this.nextVoiceId++;
+        const level = intensity * 0.8;
+        const ampEnvelope = { ...this.patch.ampEnvelope };
+        const filterEnvelope = { ...this.patch.filterEnvelope };
+        const filterSettings = { ...this.patch.filter };
+        const noiseSettings = { ...this.patch.noise };
+        const pan = this.positionToPan(x);
+        
+        this.workletNode.port.postMessage({
+            type: 'noteOn',
+            id,
+            frequency,
+            level,
+            pan,
+            cutoff: filterCutoff(filterSettings, y, frequency),
+            q: filterResonance(filterSettings, y),
+            filter: { type: filterSettings.type, slope: filterSettings.slope },
+            unison,
+            noise: noiseSettings.level > 0 ? {
+                type: noiseSettings.type,
+                level: noiseLevel(noiseSettings, intensity),
+                cutoff: noiseColourCutoff(noiseSettings.colour),
+                envelope: noiseSettings
+            } : null,
+            ampEnvelope,
+            filterEnvelope,
+            ...(time !== null && { time })
+        });
+        
+        return {
+            engine: 'worklet',
+            id,
+            pan,
+            filterSettings,
+            noiseSettings,
+            ampEnvelope,
+            filterEnvelope,
+            level,
+            pressure: intensity,
+            playing: true,
+            frequency,
+            x,
+            y,
+            startTime: time === null ? this.audioContext.currentTime : time
+        };
+    }
+    
+    // Sawtooth (stacked per the unison layout) + slightly detuned square + sine sub octave
+    createClassicSource(frequency, unison) {
+        const osc2 = this.audioContext.createOscillator();
+        const subOsc = this.audioContext.createOscillator();
+        
+        const osc2Gain = this.audioContext.createGain();
+        const subGain = this.audioContext.createGain();
+        
+        // Oscillator setup - one saw per unison member
+        const saws = unison.map(member => {
+            const osc = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            osc.type = 'sawtooth';
+            osc.frequency.value = frequency * member.ratio;
+            gain.gain.value = 0.4 * member.gain;
+            osc.connect(gain);
+            return { osc, gain, member };
+        });
+        
+        osc2.type = 'square';
+        osc2.frequency.value = frequency * 1.01; // Slight detune
+        
+        subOsc.type = 'sine';
+        subOsc.frequency.value = frequency * 0.5; // Sub octave
+        
+        // Gain levels
+        osc2Gain.gain.value = 0.3;
+        subGain.gain.value = 0.3;
+        
+        osc2.connect(osc2Gain);
+        subOsc.connect(subGain);
+        
+        const gains = [...saws.map(saw => saw.gain), osc2Gain, subGain];
+        
+        // Spread members become a stereo signal; everything goes through a panner then so the
+        // centred square and sub keep the same level as the saws (the voice panner follows)
+        let outputs = gains;
+        if (unison.some(member => member.pan !== 0)) {
+            const pans = [...unison.map(member => member.pan), 0, 0];
+            outputs = gains.map((gain, i) => {
+                const panner = this.audioContext.createStereoPanner();
+                panner.pan.value = pans[i];
+                gain.connect(panner);
+                return panner;
+            });
+        }
+        
+        return {
+            oscillatorMode: 'classic',
+            stereo: outputs !== gains,
+            oscillators: [...saws.map(saw => saw.osc), osc2, subOsc],
+            oscillatorRatios: [...unison.map(member => member.ratio), 1.01, 0.5],
+            gains,
+            outputs
+        };
+    }
+    
+    // Looping noise buffer (from a random point) -> colour lowpass -> pressure-scaled level -> its own envelope
+    createNoiseLayer(settings, pressure, stereo, time) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = getNoiseBuffer(this.audioContext, settings.type);
+        source.loop = true;
+        
+        const colour = this.audioContext.createBiquadFilter();
+        colour.type = 'lowpass';
+        colour.frequency.value = noiseColourCutoff(settings.colour);
+        
+        const gain = this.audioContext.createGain();
+        gain.gain.value = noiseLevel(settings, pressure);
+        
+        const envelope = this.audioContext.createGain();
+        this.triggerEnvelope(envelope.gain, settings, 1, time);
+        
+        source.connect(colour);
+        colour.connect(gain);
+        gain.connect(envelope);
+        
+        // Centred like the square and sub when the voice is already stereo
+        let output = envelope;
+        if (stereo) {
+            output = this.audioContext.createStereoPanner();
+            envelope.connect(output);
+        }
+        
+        source.start(time, Math.random() * source.buffer.duration);
+        return { source, gain, envelope, output };
+    }
+    
+    // Two oscillators on neighbouring frames of the table, crossfaded by the morph position
+    createWavetableSource(frequency, x, y) {
+        const table = this.wavetables.getTable(this.patch.oscillator.table);
+        const oscA = this.audioContext.createOscillator();
+        const oscB = this.audioContext.createOscillator();
+        const gainA = this.audioContext.createGain();
+        const gainB = this.audioContext.createGain();
+        
+        oscA.frequency.value = frequency;
+        oscB.frequency.value = frequency;
+        
+        oscA.connect(gainA);
+        oscB.connect(gainB);
+        
+        const source = {
+            oscillatorMode: 'wavetable',
+            stereo: false,
+            oscillators: [oscA, oscB],
+            oscillatorRatios: [1, 1],
+            gains: [gainA, gainB],
+            outputs: [gainA, gainB],
+            table,
+            frameIndex: -1
+        };
+        
+        this.applyMorph(source, this.getMorphValue(x, y), true);
+        return source;
+    }
+    
+    getMorphValue(x, y) {
+        const { morph, morphSource } = this.patch.oscillator;
+        if (morphSource === 'x') return x;
+        if (morphSource === 'y') return 1 - y; // Top of the surface is the end of the table
+        return morph;
+    }
+    
+    applyMorph(voice, morph, immediate = false) {
+        const waves = voice.table.waves;
+        const level = 0.7;
+        
+        if (waves.length === 1) {
+            if (voice.frameIndex !== 0) {
+                voice.oscillators.forEach(osc => osc.setPeriodicWave(waves[0]));
+                voice.frameIndex = 0;
+            }
+            voice.gains[0].gain.value = level;
+            voice.gains[1].gain.value = 0;
+            return;
+        }
+        
+        const position = Math.max(0, Math.min(1, morph)) * (waves.length - 1);
+        const frameIndex = Math.min(Math.floor(position), waves.length - 2);
+        const fraction = position - frameIndex;
+        
+        if (frameIndex !== voice.frameIndex) {
+            voice.oscillators[0].setPeriodicWave(waves[frameIndex]);
+            voice.oscillators[1].setPeriodicWave(waves[frameIndex + 1]);
+            voice.frameIndex = frameIndex;
+        }
+        
+        const [gainA, gainB] = voice.gains;
+        if (immediate) {
+            gainA.gain.value = level * (1 - fraction);
+            gainB.gain.value = level * fraction;
+        } else {
+            const now = this.audioContext.currentTime;
+            gainA.gain.setTargetAtTime(level * (1 - fraction), now, 0.02);
+            gainB.gain.setTargetAtTime(level * fraction, now, 0.02);
+        }
+    }
+    
+    // Attack to peak, then decay toward the sustain level (which may be zero)
+    triggerEnvelope(param, env, peak, time) {
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(0, time);
+        param.linearRampToValueAtTime(peak, time + env.attack);
+        param.setTargetAtTime(peak * env.sustain, time + env.attack, env.decay / 3);
+    }
+    
+    // Attack from wherever the envelope is now, so a retriggered mono voice doesn't click
+    retriggerEnvelope(param, env, peak, time) {
+        this.holdParam(param, time);
+        param.linearRampToValueAtTime(peak, time + env.attack);
+        param.setTargetAtTime(peak * env.sustain, time + env.attack, env.decay / 3);
+    }
+    
+    // Freeze a param at its current value so a new ramp can start from there
+    holdParam(param, time) {
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(time);
+        } else {
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(param.value, time);
+        }
+    }
+    
+    // End of a touch - a mono voice keeps sounding while other touches still hold it; time schedules the release
+    stopVoice(voice, time = null) {
+        if (voice && voice.chordVoices) {
+            voice.chordVoices.forEach(chordVoice => this.stopVoice(chordVoice, time));
+        }
+        if (!voice || !voice.playing) return;
+        
+        voice.holds = Math.max(0, (voice.holds || 1) - 1);
+        if (voice.holds > 0) return;
+        
+        this.releaseVoice(voice, null, time);
+    }
+    
+    // Release a voice regardless of touches; fadeTime overrides the patch release (used when stealing)
+    releaseVoice(voice, fadeTime = null, time = null) {
         if (!voice || !voice.playing) return;
         
-        const now = this.audioContext.currentTime;
         voice.playing = false;
+        voice.holds = 0;
+        if (voice === this.monoVoice) {
+            this.monoVoice = null;
+        }
         
-        // Release envelope
-        voice.envelope.gain.cancelScheduledValues(now);
-        voice.envelope.gain.setValueAtTime(voice.envelope.gain.value, now);
-        voice.envelope.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
-        
-        // Stop oscillators
-        setTimeout(() => {
-            voice.oscillators.forEach(osc => {
-                try {
-                    osc.stop();
-                } catch (e) {
-                    // Oscillator might already be stopped
-                }
+        // A stolen or trimmed drone loses its marker straight away
+        this.latch.prune();
+        
+        if (voice.engine === 'worklet') {
+            this.workletNode.port.postMessage({
+                type: 'noteOff',
+                id: voice.id,
+                ...(fadeTime !== null && { release: fadeTime }),
+                ...(time !== null && { time })
             });
-        }, 250);
+            return;
+        }
+        
+        const now = time === null ? this.audioContext.currentTime : time;
+        
+        // Release envelopes - setTargetAtTime is ~99% of the way there after five time constants
+        const release = fadeTime !== null ? fadeTime : voice.ampEnvelope.release;
+        
+        this.holdParam(voice.envelope.gain, now);
+        voice.envelope.gain.setTargetAtTime(0, now, release / 5);
+        
+        this.holdParam(voice.filter.detune, now);
+        voice.filter.detune.setTargetAtTime(0, now, (fadeTime !== null ? fadeTime : voice.filterEnvelope.release) / 5);
+        
+        if (voice.noise) {
+            this.holdParam(voice.noise.envelope.gain, now);
+            voice.noise.envelope.gain.setTargetAtTime(0, now, (fadeTime !== null ? fadeTime : voice.noiseSettings.release) / 5);
+        }
+        
+        // Stop oscillators once the release has finished and free the voice's nodes
+        voice.oscillators[0].onended = () => {
+            voice.voiceGain.disconnect();
+            voice.panner.disconnect();
+            voice.filter.disconnect();
+        };
+        const sources = voice.noise ? [voice.noise.source] : [];
+        [...voice.oscillators, ...sources, ...Object.values(voice.modulators)].forEach(osc => {
+            try {
+                osc.stop(now + release + 0.05);
+            } catch (e) {
+                // Oscillator might already be stopped
+            }
+        });
+        voice.filter.stop(now + release + 0.05);
     }
     
-    updateVoicePosition(voice, x, y) {
+    // note overrides the pitch the position would play (the arpeggiator moves voices without changing their note);
+    // time schedules the change ahead, as for startVoice
+    updateVoicePosition(voice, x, y, intensity, note = null, time = null) {
+        // A chord follows the finger as one shape, re-voiced on the new scale degree
+        if (voice && voice.chordVoices && note === null) {
+            const notes = this.getChordNotes(this.positionToNote(x, y), voice.chordType);
+            voice.chordVoices.forEach((chordVoice, index) => {
+                this.updateVoicePosition(chordVoice, x, y, intensity, notes[index + 1], time);
+            });
+            note = notes[0];
+        }
+        
         if (!voice || !voice.playing) return;
         
-        const frequency = this.positionToFrequency(x, y);
-        voice.oscillators.forEach(osc => {
-            osc.frequency.setTargetAtTime(frequency, this.audioContext.currentTime, 0.01);
-        });
+        if (intensity !== undefined) {
+            voice.pressure = intensity;
+        }
         
-        // Update filter brightness
-        voice.filter.frequency.setTargetAtTime(
-            800 + (y * 4000), 
-            this.audioContext.currentTime, 
-            0.01
-        );
+        if (note === null) {
+            note = this.positionToNote(x, y);
+        }
+        const frequency = this.tuning.frequencyForNote(note);
+        
+        // Portamento only when the pitch jumps (a step change); continuous slides just get smoothed
+        const jumped = Math.abs(note - voice.note) >= 0.5;
+        const timeConstant = jumped ? Math.max(0.01, this.glide.portamentoTime / 3) : 0.01;
         
         voice.x = x;
         voice.y = y;
+        voice.note = note;
         voice.frequency = frequency;
+        voice.pan = this.positionToPan(x);
+        
+        const cutoff = filterCutoff(voice.filterSettings, y, frequency);
+        const resonance = filterResonance(voice.filterSettings, y);
+        const hasNoise = voice.noiseSettings.level > 0;
+        
+        if (voice.engine === 'worklet') {
+            this.workletNode.port.postMessage({
+                type: 'update',
+                id: voice.id,
+                frequency,
+                cutoff,
+                q: resonance,
+                pan: voice.pan,
+                glide: timeConstant,
+                ...(hasNoise && { noiseLevel: noiseLevel(voice.noiseSettings, voice.pressure) }),
+                ...(time !== null && { time })
+            });
+            return;
+        }
+        
+        const now = time === null ? this.audioContext.currentTime : time;
+        
+        if (hasNoise) {
+            voice.noise.gain.gain.setTargetAtTime(
+                noiseLevel(voice.noiseSettings, voice.pressure),
+                now,
+                0.02
+            );
+        }
+        
+        voice.panner.pan.setTargetAtTime(voice.pan, now, 0.02);
+        
+        voice.oscillators.forEach((osc, index) => {
+            osc.frequency.setTargetAtTime(
+                frequency * voice.oscillatorRatios[index],
+                now,
+                timeConstant
+            );
+        });
+        
+        // Update filter brightness - a key-tracked cutoff glides along with the pitch
+        voice.filter.frequency.setTargetAtTime(
+            cutoff, 
+            now, 
+            voice.filterSettings.keyTracking > 0 ? timeConstant : 0.01
+        );
+        voice.filter.Q.setTargetAtTime(resonance, now, 0.01);
+        
+        if (voice.oscillatorMode === 'wavetable' && this.patch.oscillator.morphSource !== 'manual') {
+            this.applyMorph(voice, this.getMorphValue(x, y));
+        }
     }
     
     setParameter(param, value) {
         this.params[param] = Math.max(0, Math.min(1, value));
-        const percentage = (value * 100).toFixed(0);
+        this.applyParameter(param, this.getModulatedParameter(param));
+    }
+    
+    // Base knob value plus any modulation matrix offset
+    getModulatedParameter(param) {
+        const offset = this.paramModulation[param] || 0;
+        return Math.max(0, Math.min(1, this.params[param] + offset));
+    }
+    
+    setParameterModulation(param, offset) {
+        this.paramModulation[param] = offset;
+        this.applyParameter(param, this.getModulatedParameter(param));
+    }
+    
+    // Per-voice modulation: offsets are summed onto the voice's params through ConstantSource nodes,
+    // created the first time a voice needs them so unmodulated voices cost nothing extra
+    applyVoiceModulation(voice, offsets) {
+        if (!voice.playing) return;
         
-        switch (param) {
-            case 'grime':
-                if (this.distortion && this.distortionWet && this.distortionDry) {
-                    // More aggressive distortion curve
-                    this.distortion.curve = this.makeDistortionCurve(20 + value * 200);
-                    
-                    // Wet/dry mix: 0 = clean, 1 = fully distorted
-                    this.distortionWet.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.05);
-                    this.distortionDry.gain.setTargetAtTime(1 - value, this.audioContext.currentTime, 0.05);
-                    
-                    this.logParameter('🔥 GRIME', percentage, `curve: ${(20 + value * 200).toFixed(0)}`);
-                }
-                break;
-                
-            case 'flow':
-                if (this.delay && this.delayGain && this.delayFeedback) {
-                    // More dramatic delay settings
-                    const delayTime = 0.05 + value * 0.45; // 50ms to 500ms
-                    const delayLevel = value * 0.8; // Up to 80% wet
-                    const feedback = value * 0.85; // Up to 85% feedback for more repeats
-                    
-                    this.delay.delayTime.setTargetAtTime(delayTime, this.audioContext.currentTime, 0.05);
-                    this.delayGain.gain.setTargetAtTime(delayLevel, this.audioContext.currentTime, 0.05);
-                    this.delayFeedback.gain.setTargetAtTime(feedback, this.audioContext.currentTime, 0.05);
-                    
-                    this.logParameter('💧 FLOW', percentage, `delay: ${(delayTime * 1000).toFixed(0)}ms, level: ${(delayLevel * 100).toFixed(0)}%, feedback: ${(feedback * 100).toFixed(0)}%`);
-                }
-                break;
-                
-            case 'shimmer':
-                if (this.chorusGain && this.chorusDepth) {
-                    const chorusLevel = value * 0.8;
-                    const chorusDepth = value * 0.01;
-                    
-                    this.chorusGain.gain.setTargetAtTime(chorusLevel, this.audioContext.currentTime, 0.1);
-                    this.chorusDepth.gain.setTargetAtTime(chorusDepth, this.audioContext.currentTime, 0.1);
-                    
-                    this.logParameter('✨ SHIMMER', percentage, `level: ${(chorusLevel * 100).toFixed(0)}%, depth: ${(chorusDepth * 1000).toFixed(1)}ms`);
-                }
-                break;
-                
-            case 'depth':
-                if (this.reverbGain) {
-                    const reverbLevel = value * 0.5;
-                    this.reverbGain.gain.setTargetAtTime(reverbLevel, this.audioContext.currentTime, 0.1);
-                    
-                    this.logParameter('🌊 DEPTH', percentage, `reverb level: ${(reverbLevel * 100).toFixed(0)}%`);
+        if (voice.engine === 'worklet') {
+            this.workletNode.port.postMessage({
+                type: 'modulate',
+                id: voice.id,
+                offsets: {
+                    pitch: offsets.pitch * 100,
+                    cutoff: offsets.cutoff * 1200,
+                    resonance: offsets.resonance,
+                    gain: offsets.gain
                 }
-                break;
-                
-            case 'pitch':
-                // Find the quantized pitch range for logging
-                const pitchSteps = [0.0, 0.2, 0.35, 0.5, 0.65, 0.8, 1.0];
-                const pitchRanges = [-2, -1, -0.5, 0, 0.5, 1, 2];
-                const stepNames = ['Very Low', 'Low', 'Mid-Low', 'Mid', 'Mid-High', 'High', 'Very High'];
-                
-                let closestIndex = 0;
-                let minDistance = Math.abs(value - pitchSteps[0]);
-                
-                for (let i = 1; i < pitchSteps.length; i++) {
-                    const distance = Math.abs(value - pitchSteps[i]);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        closestIndex = i;
-                    }
-                }
-                
-                const quantizedOffset = pitchRanges[closestIndex];
-                const baseOctave = 2 + quantizedOffset;
-                const range = `${baseOctave.toFixed(1)}-${(baseOctave + 2).toFixed(1)}`;
-                const stepName = stepNames[closestIndex];
+            });
+            return;
+        }
+        
+        const targets = {
+            pitch: { value: offsets.pitch * 100, params: () => voice.oscillators.map(osc => osc.detune) },
+            cutoff: { value: offsets.cutoff * 1200, params: () => [voice.filter.detune] },
+            resonance: { value: offsets.resonance, params: () => [voice.filter.Q] },
+            gain: { value: offsets.gain * voice.level, params: () => [voice.voiceGain.gain] }
+        };
+        const now = this.audioContext.currentTime;
+        
+        Object.entries(targets).forEach(([name, target]) => {
+            let modulator = voice.modulators[name];
+            if (!modulator) {
+                if (target.value === 0) return;
                 
-                this.logParameter('🎹 PITCH', percentage, `${stepName} (${range})`);
-                break;
+                modulator = this.audioContext.createConstantSource();
+                modulator.offset.value = 0;
+                target.params().forEach(param => modulator.connect(param));
+                modulator.start(now);
+                voice.modulators[name] = modulator;
+            }
+            modulator.offset.setTargetAtTime(target.value, now, 0.01);
+        });
+    }
+    
+    // Effect knobs are dispatched to every effect module mapped to them
+    applyParameter(param, value) {
+        if (param === 'pitch') {
+            this.logPitch(value);
+            return;
+        }
+        
+        if (this.effects) {
+            this.effects.applyMacro(param, value);
         }
     }
     
+    logPitch(value) {
+        const percentage = (value * 100).toFixed(0);
+        
+        // Find the quantized pitch range for logging
+        const pitchSteps = [0.0, 0.2, 0.35, 0.5, 0.65, 0.8, 1.0];
+        const pitchRanges = [-2, -1, -0.5, 0, 0.5, 1, 2];
+        const stepNames = ['Very Low', 'Low', 'Mid-Low', 'Mid', 'Mid-High', 'High', 'Very High'];
+        
+        let closestIndex = 0;
+        let minDistance = Math.abs(value - pitchSteps[0]);
+        
+        for (let i = 1; i < pitchSteps.length; i++) {
+            const distance = Math.abs(value - pitchSteps[i]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestIndex = i;
+            }
+        }
+        
+        const quantizedOffset = pitchRanges[closestIndex];
+        const baseOctave = 2 + quantizedOffset;
+        const range = `${baseOctave.toFixed(1)}-${(baseOctave + 2).toFixed(1)}`;
+        const stepName = stepNames[closestIndex];
+        
+        this.logParameter('🎹 PITCH', percentage, `${stepName} (${range})`);
+    }
+    
     logParameter(name, percentage, details) {
     }
     
@@ -415,20 +1285,60 @@ export class Synthesizer {
         return this.params[param];
     }
     
+    getModulationMatrix() {
+        return this.modulation;
+    }
+    
+    getEffectsChain() {
+        return this.effects;
+    }
+    
+    getClock() {
+        return this.clock;
+    }
+    
+    getMasterBus() {
+        return this.masterBus;
+    }
+    
+    // Where anything audible should connect - the master bus, or the speakers if it failed to start
+    getOutputNode() {
+        return this.masterBus && this.masterBus.isInitialized
+            ? this.masterBus.input
+            : this.audioContext.destination;
+    }
+    
+    getArpeggiator() {
+        return this.arpeggiator;
+    }
+    
+    getLatch() {
+        return this.latch;
+    }
+    
     stopAllVoices() {
-        this.voices.forEach(voice => this.stopVoice(voice));
+        this.latch.releaseAll();
+        this.arpeggiator.releaseAll();
+        this.voices.forEach(voice => this.releaseVoice(voice));
         this.voices = [];
+        
+        // Also releases worklet voices whose slot was already reused
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'allOff' });
+        }
     }
     
-    // Performance optimization method
+    // Performance optimization method - scales each engine's polyphony from its base limit
     setComplexity(complexity) {
-        const oldMaxVoices = this.maxVoices;
-        this.maxVoices = Math.ceil(5 * complexity);
+        const oldLimit = this.getVoiceLimit();
+        this.maxVoices = Math.max(1, Math.ceil(this.voiceLimits.nodes * complexity));
+        this.maxWorkletVoices = Math.max(1, Math.ceil(this.voiceLimits.worklet * complexity));
         
-        // Stop excess voices if reducing complexity
-        if (this.maxVoices < oldMaxVoices) {
-            const excessVoices = this.voices.slice(this.maxVoices);
-            excessVoices.forEach(voice => this.stopVoice(voice));
+        // Stop excess voices if reducing complexity, choosing them the same way as stealing
+        const limit = this.getVoiceLimit();
+        if (limit < oldLimit) {
+            const excessVoices = selectExcessVoices(this.voices, limit, this.voiceStealing, this.audioContext.currentTime);
+            excessVoices.forEach(voice => this.releaseVoice(voice, STEAL_FADE));
         }
         
     }
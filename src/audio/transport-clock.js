@@ -0,0 +1,173 @@
+// Transport clock - shared tempo, tap tempo and time signature. Tempo is in quarter-note beats
+// per minute; time-based modules subscribe to hear about tempo and signature changes.
+
+// Note divisions in quarter-note beats (T = triplet, D = dotted)
+export const NOTE_DIVISIONS = {
+    '1/1': 4,
+    '1/2': 2,
+    '1/2D': 3,
+    '1/4': 1,
+    '1/4D': 1.5,
+    '1/4T': 2 / 3,
+    '1/8': 0.5,
+    '1/8D': 0.75,
+    '1/8T': 1 / 3,
+    '1/16': 0.25,
+    '1/16T': 1 / 6
+};
+
+export const TIME_SIGNATURES = ['4/4', '3/4', '5/4', '6/8', '7/8'];
+
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+const TAP_TIMEOUT = 2000; // ms between taps before a new tap sequence starts
+const MAX_TAPS = 5;
+
+export class TransportClock {
+    constructor(options = {}) {
+        this.bpm = options.bpm || 120;
+        this.beatsPerBar = 4;
+        this.beatUnit = 4;
+        
+        this.taps = [];
+        this.listeners = new Set();
+        
+        // Beat position is anchored at the last tempo change so it stays continuous
+        this.timeSource = () => 0;
+        this.anchorTime = 0;
+        this.anchorBeat = 0;
+    }
+    
+    // Function returning the current time in seconds (normally the AudioContext clock)
+    setTimeSource(source) {
+        this.timeSource = source;
+        this.anchorTime = source();
+        this.anchorBeat = 0;
+    }
+    
+    setTempo(bpm) {
+        const value = Number(bpm);
+        if (!Number.isFinite(value)) {
+            console.error(`Invalid tempo: ${bpm}`);
+            return false;
+        }
+        
+        const now = this.timeSource();
+        this.anchorBeat = this.beatAtTime(now);
+        this.anchorTime = now;
+        this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, value));
+        
+        this.notify();
+        return true;
+    }
+    
+    // Average the intervals between recent taps; returns the new tempo once there are two taps
+    tap(timestamp = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && timestamp - last > TAP_TIMEOUT) {
+            this.taps = [];
+        }
+        
+        this.taps.push(timestamp);
+        if (this.taps.length > MAX_TAPS) {
+            this.taps.shift();
+        }
+        
+        if (this.taps.length < 2) return null;
+        
+        const averageInterval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        this.setTempo(Math.round(60000 / averageInterval));
+        return this.bpm;
+    }
+    
+    // '6/8' style string
+    setTimeSignature(signature) {
+        const match = /^(\d+)\/(\d+)$/.exec(String(signature).trim());
+        const beats = match ? Number(match[1]) : 0;
+        const unit = match ? Number(match[2]) : 0;
+        
+        if (beats < 1 || beats > 16 || ![2, 4, 8, 16].includes(unit)) {
+            console.error(`Invalid time signature: ${signature}`);
+            return false;
+        }
+        
+        this.beatsPerBar = beats;
+        this.beatUnit = unit;
+        this.notify();
+        return true;
+    }
+    
+    getTimeSignature() {
+        return `${this.beatsPerBar}/${this.beatUnit}`;
+    }
+    
+    get secondsPerBeat() {
+        return 60 / this.bpm;
+    }
+    
+    // Bar length in quarter-note beats (6/8 is three quarter notes)
+    get beatsInBar() {
+        return this.beatsPerBar * (4 / this.beatUnit);
+    }
+    
+    get secondsPerBar() {
+        return this.beatsInBar * this.secondsPerBeat;
+    }
+    
+    divisionToSeconds(division) {
+        const beats = NOTE_DIVISIONS[division];
+        if (beats === undefined) {
+            throw new Error(`Unknown note division: ${division}`);
+        }
+        return beats * this.secondsPerBeat;
+    }
+    
+    beatAtTime(time) {
+        return this.anchorBeat + (time - this.anchorTime) / this.secondsPerBeat;
+    }
+    
+    // Time of the next grid line for a division, at or after the given time
+    nextDivisionTime(time, division = '1/4') {
+        return this.nextGridTime(time, NOTE_DIVISIONS[division] || 1);
+    }
+    
+    // Time of the next downbeat, at or after the given time
+    nextBarTime(time) {
+        return this.nextGridTime(time, this.beatsInBar);
+    }
+    
+    // Time of the next multiple of step quarter-note beats, at or after the given time
+    nextGridTime(time, step) {
+        const beat = this.beatAtTime(time);
+        const nextBeat = Math.ceil(beat / step - 1e-9) * step;
+        return this.anchorTime + (nextBeat - this.anchorBeat) * this.secondsPerBeat;
+    }
+    
+    getState() {
+        return {
+            bpm: this.bpm,
+            beatsPerBar: this.beatsPerBar,
+            beatUnit: this.beatUnit,
+            secondsPerBeat: this.secondsPerBeat,
+            secondsPerBar: this.secondsPerBar
+        };
+    }
+    
+    // Listener is called now and on every change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.getState());
+        return () => this.listeners.delete(listener);
+    }
+    
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('Transport clock listener failed:', error);
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Tuning subsystem - maps MIDI key numbers to frequencies through a Scala scale (.scl)
+// and keyboard mapping (.kbm). With nothing loaded it behaves as 12-TET at A4 = 440 Hz.
+
+const EQUAL_TEMPERAMENT_CENTS = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200];
+
+// Scala pitch values: anything containing '.' is cents, otherwise a ratio ("3/2") or integer ("2")
+function parsePitch(token) {
+    if (token.includes('.')) {
+        const cents = parseFloat(token);
+        if (!Number.isFinite(cents)) throw new Error(`Invalid cents value: ${token}`);
+        return cents;
+    }
+    
+    const [numerator, denominator = '1'] = token.split('/');
+    const ratio = Number(numerator) / Number(denominator);
+    if (!Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid ratio: ${token}`);
+    return 1200 * Math.log2(ratio);
+}
+
+// Strip comment lines ('!') but keep blank lines - a blank .scl description is legal
+function contentLines(text) {
+    return text.split(/\r?\n/).filter(line => !line.trimStart().startsWith('!'));
+}
+
+export function parseScl(text) {
+    const lines = contentLines(text);
+    if (lines.length < 2) throw new Error('Scala file is missing its header');
+    
+    const description = lines[0].trim();
+    const noteCount = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(noteCount) || noteCount < 1) {
+        throw new Error('Scala file has an invalid note count');
+    }
+    
+    const cents = lines
+        .slice(2)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .slice(0, noteCount)
+        .map(line => parsePitch(line.split(/\s+/)[0]));
+    
+    if (cents.length !== noteCount) {
+        throw new Error(`Scala file lists ${cents.length} of ${noteCount} notes`);
+    }
+    
+    // The last entry is the period (usually 2/1)
+    return { description, cents };
+}
+
+export function parseKbm(text) {
+    const values = contentLines(text)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => line.split(/\s+/)[0]);
+    
+    if (values.length < 7) throw new Error('Keyboard mapping is missing its header');
+    
+    const [mapSize, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(v => parseInt(v, 10));
+    const referenceFrequency = parseFloat(values[5]);
+    const octaveDegree = parseInt(values[6], 10);
+    
+    if ([mapSize, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(v => !Number.isInteger(v)) ||
+        !(referenceFrequency > 0)) {
+        throw new Error('Keyboard mapping has an invalid header');
+    }
+    
+    // Missing trailing entries are unmapped, as per the Scala spec
+    const mapping = [];
+    for (let i = 0; i < mapSize; i++) {
+        const entry = values[7 + i];
+        mapping.push(entry === undefined || entry === 'x' ? null : parseInt(entry, 10));
+    }
+    
+    return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+export class Tuning {
+    constructor() {
+        this.concertPitch = 440; // A4, kept apart from a .kbm's reference so reset can return to it
+        this.reset();
+    }
+    
+    // Back to 12-TET at concert pitch with the default linear keyboard mapping
+    reset() {
+        this.referenceFrequency = this.concertPitch;
+        this.description = '12-TET';
+        this.cents = EQUAL_TEMPERAMENT_CENTS;
+        this.keyboardMap = null;
+        this.hasKeyboardMapping = false;
+        this.middleNote = 60;
+        this.referenceNote = 69;
+    }
+    
+    loadScl(text) {
+        const scale = parseScl(text);
+        this.description = scale.description || 'Untitled scale';
+        this.cents = scale.cents;
+    }
+    
+    loadKbm(text) {
+        const map = parseKbm(text);
+        this.keyboardMap = map.mapSize > 0 ? map : null;
+        this.hasKeyboardMapping = true;
+        this.middleNote = map.middleNote;
+        this.referenceNote = map.referenceNote;
+        this.referenceFrequency = map.referenceFrequency;
+    }
+    
+    setReferenceFrequency(frequency) {
+        const value = Number(frequency);
+        if (!(value >= 200 && value <= 1000)) {
+            throw new Error(`Reference frequency out of range: ${frequency}`);
+        }
+        this.referenceFrequency = value;
+        
+        // With a .kbm loaded this tunes its reference note, which need not be A4
+        if (!this.hasKeyboardMapping) {
+            this.concertPitch = value;
+        }
+    }
+    
+    get isEqualTemperament() {
+        return this.cents === EQUAL_TEMPERAMENT_CENTS && !this.hasKeyboardMapping;
+    }
+    
+    // Number of keys before the pattern repeats one period higher
+    get keysPerPeriod() {
+        return this.keyboardMap ? this.keyboardMap.mapSize : this.cents.length;
+    }
+    
+    // Cents of an (unbounded) scale degree above degree 0
+    degreeToCents(degree) {
+        const size = this.cents.length;
+        const period = this.cents[size - 1];
+        const periods = Math.floor(degree / size);
+        const step = degree - periods * size;
+        
+        return periods * period + (step === 0 ? 0 : this.cents[step - 1]);
+    }
+    
+    // Cents of a key relative to the middle note, or null when the key is unmapped
+    keyToCents(key) {
+        const steps = key - this.middleNote;
+        
+        if (!this.keyboardMap) {
+            return this.degreeToCents(steps);
+        }
+        
+        const { mapSize, mapping, octaveDegree, firstNote, lastNote } = this.keyboardMap;
+        if (key < firstNote || key > lastNote) return null;
+        
+        const periods = Math.floor(steps / mapSize);
+        const degree = mapping[steps - periods * mapSize];
+        if (degree === null || degree === undefined) return null;
+        
+        const formalOctave = octaveDegree > 0 ? this.degreeToCents(octaveDegree) : this.cents[this.cents.length - 1];
+        return periods * formalOctave + this.degreeToCents(degree);
+    }
+    
+    // Unmapped keys fall back to the nearest mapped key below them
+    mappedKeyToCents(key) {
+        for (let candidate = key; candidate >= key - this.keysPerPeriod; candidate--) {
+            const cents = this.keyToCents(candidate);
+            if (cents !== null) return cents;
+        }
+        return this.degreeToCents(key - this.middleNote);
+    }
+    
+    // Frequency for a MIDI key number; fractional keys glide smoothly between neighbouring keys
+    frequencyForNote(note) {
+        const lower = Math.floor(note);
+        const fraction = note - lower;
+        
+        let cents = this.mappedKeyToCents(lower);
+        if (fraction > 0) {
+            cents += (this.mappedKeyToCents(lower + 1) - cents) * fraction;
+        }
+        
+        // Without a .kbm the scale's 1/1 sits on middle C, 900 cents (12-TET) below the A4 reference
+        const referenceCents = this.hasKeyboardMapping ? this.mappedKeyToCents(this.referenceNote) : 900;
+        return this.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+    }
+}
\ No newline at end of file
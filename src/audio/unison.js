@@ -0,0 +1,46 @@
+// Unison stacking - spreads 1-8 copies of the voice's saw across detune and stereo position.
+// Members sit symmetrically around the centre; blend crossfades between the centre member(s)
+// and the outer ones, and the stack is normalised for equal loudness at any size.
+
+export const MAX_UNISON = 8;
+const MAX_DETUNE_CENTS = 50;    // Outermost member offset at full detune
+const UNISON_MEMBER_COST = 0.5; // Each extra saw is a fraction of a full voice's cost
+
+// Polyphony cost of a voice with this many unison members (see voice-allocator.js)
+export function unisonCost(members) {
+    return 1 + (members - 1) * UNISON_MEMBER_COST;
+}
+
+// Most members a single voice can use without exceeding the polyphony limit on its own
+export function maxUnisonMembers(limit) {
+    return Math.max(1, Math.min(MAX_UNISON, 1 + Math.floor((limit - 1) / UNISON_MEMBER_COST)));
+}
+
+// One { ratio, pan, gain } per member - frequency ratio, pan offset (-1..1) and linear gain
+export function unisonLayout({ voices, detune, spread, blend }) {
+    const count = Math.max(1, Math.min(MAX_UNISON, Math.round(voices)));
+    if (count === 1) {
+        return [{ ratio: 1, pan: 0, gain: 1 }];
+    }
+    
+    // Blend 0 is centre only, 0.5 is everything equal, 1 is the outer members only
+    const centreGain = Math.min(1, 2 * (1 - blend));
+    const sideGain = Math.min(1, 2 * blend);
+    const centreReach = count % 2 === 0 ? 1 / (count - 1) : 0;
+    
+    const members = Array.from({ length: count }, (_, i) => {
+        const position = -1 + (2 * i) / (count - 1);
+        return {
+            ratio: Math.pow(2, (position * detune * MAX_DETUNE_CENTS) / 1200),
+            pan: position * spread,
+            gain: Math.abs(position) <= centreReach + 1e-9 ? centreGain : sideGain
+        };
+    });
+    
+    // Detuned members are uncorrelated, so they sum by power
+    const power = Math.sqrt(members.reduce((sum, member) => sum + member.gain * member.gain, 0)) || 1;
+    members.forEach(member => {
+        member.gain /= power;
+    });
+    return members;
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+// Voice allocation - picks a slot for a new note and decides which sounding voices to steal
+// once the polyphony limit is reached. Pure functions over the synth's voice list, so the
+// choice only depends on the voices, the new note and the current audio time.
+// The limit is a budget: each voice costs voice.cost (1 unless unison makes it heavier).
+import { envelopeLevel } from './modulation-matrix.js';
+
+export const STEAL_STRATEGIES = {
+    oldest: 'Oldest',
+    quietest: 'Quietest',
+    farthest: 'Farthest',
+    retrigger: 'Same Note'
+};
+
+// Notes closer than this (in scale-relative semitones) count as the same note
+const SAME_NOTE_TOLERANCE = 0.5;
+
+export function voiceCost(voice) {
+    return voice.cost || 1;
+}
+
+function totalCost(voices) {
+    return voices.reduce((sum, voice) => sum + voiceCost(voice), 0);
+}
+
+// Current output level of a voice - its amp envelope scaled by the voice level
+export function voiceLevel(voice, time) {
+    return envelopeLevel(voice.ampEnvelope, Math.max(0, time - voice.startTime)) * voice.level;
+}
+
+function findSameNote(voices, note) {
+    if (note === undefined) return null;
+    return voices.find(voice => Math.abs(voice.note - note) < SAME_NOTE_TOLERANCE) || null;
+}
+
+// Sounding voices ordered from first to last to steal. Ties (and strategies that need a note
+// when none is given) fall back to oldest first.
+export function rankVoices(voices, strategy = 'oldest', { note, time = 0 } = {}) {
+    const playing = voices.filter(voice => voice && voice.playing);
+    const byAge = (a, b) => a.startTime - b.startTime;
+    
+    switch (strategy) {
+        case 'quietest': {
+            const levels = new Map(playing.map(voice => [voice, voiceLevel(voice, time)]));
+            return playing.sort((a, b) => (levels.get(a) - levels.get(b)) || byAge(a, b));
+        }
+        case 'farthest':
+            if (note === undefined) return playing.sort(byAge);
+            return playing.sort((a, b) =>
+                (Math.abs(b.note - note) - Math.abs(a.note - note)) || byAge(a, b));
+        case 'retrigger': {
+            const sameNote = findSameNote(playing, note);
+            const rest = playing.filter(voice => voice !== sameNote).sort(byAge);
+            return sameNote ? [sameNote, ...rest] : rest;
+        }
+        default:
+            return playing.sort(byAge);
+    }
+}
+
+// Slot for a new note costing cost: { index, stolen } where stolen lists the voices to fade out
+// (most stealable first) to make room. Retrigger reuses a voice already playing the same note
+// even when there is room for another.
+export function allocateVoice(voices, { limit, cost = 1, strategy = 'oldest', note, time = 0 }) {
+    const stolen = [];
+    
+    if (strategy === 'retrigger') {
+        const sameNote = findSameNote(voices.filter(voice => voice && voice.playing), note);
+        if (sameNote) stolen.push(sameNote);
+    }
+    
+    const remaining = rankVoices(voices, strategy, { note, time }).filter(voice => !stolen.includes(voice));
+    let used = totalCost(remaining);
+    while (used + cost > limit && remaining.length > 0) {
+        const voice = remaining.shift();
+        stolen.push(voice);
+        used -= voiceCost(voice);
+    }
+    
+    if (stolen.length > 0) {
+        return { index: voices.indexOf(stolen[0]), stolen };
+    }
+    
+    const free = voices.findIndex(voice => !voice || !voice.playing);
+    return { index: free === -1 ? voices.length : free, stolen };
+}
+
+// Voices to stop so the sounding voices fit within limit, most stealable first
+export function selectExcessVoices(voices, limit, strategy = 'oldest', time = 0) {
+    const ranked = rankVoices(voices, strategy, { time });
+    const excess = [];
+    let used = totalCost(ranked);
+    
+    while (used > limit && ranked.length > 0) {
+        const voice = ranked.shift();
+        excess.push(voice);
+        used -= voiceCost(voice);
+    }
+    return excess;
+}
\ No newline at end of file
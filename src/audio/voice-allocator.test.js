@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateVoice, rankVoices, selectExcessVoices, voiceLevel } from './voice-allocator.js';
+import { unisonCost, maxUnisonMembers } from './unison.js';
+
+const envelope = { attack: 0.01, decay: 0.3, sustain: 0.7, release: 0.5 };
+
+// Minimal sounding voice - only the fields the allocator reads
+function voice(note, startTime, { level = 1, cost, playing = true } = {}) {
+    return { note, startTime, level, cost, playing, ampEnvelope: envelope };
+}
+
+describe('rankVoices', () => {
+    it('orders oldest first and skips voices that are not playing', () => {
+        const a = voice(60, 2);
+        const b = voice(62, 1);
+        const c = voice(64, 0, { playing: false });
+        
+        assert.deepEqual(rankVoices([a, b, c, null], 'oldest'), [b, a]);
+    });
+    
+    it('orders quietest first by envelope and voice level', () => {
+        const loud = voice(60, 0, { level: 1 });
+        const quiet = voice(62, 1, { level: 0.2 });
+        const attacking = voice(64, 4.999, { level: 1 }); // barely into its attack at time 5
+        
+        assert.ok(voiceLevel(attacking, 5) < voiceLevel(quiet, 5));
+        assert.deepEqual(rankVoices([loud, quiet, attacking], 'quietest', { time: 5 }), [attacking, quiet, loud]);
+    });
+    
+    it('orders farthest from the new note first', () => {
+        const near = voice(61, 0);
+        const far = voice(72, 1);
+        const middle = voice(55, 2);
+        
+        assert.deepEqual(rankVoices([near, far, middle], 'farthest', { note: 60 }), [far, middle, near]);
+    });
+    
+    it('falls back to oldest first for farthest without a note', () => {
+        const a = voice(61, 2);
+        const b = voice(72, 1);
+        
+        assert.deepEqual(rankVoices([a, b], 'farthest'), [b, a]);
+    });
+    
+    it('puts the same note first for retrigger, then the rest oldest first', () => {
+        const a = voice(60, 0);
+        const b = voice(64, 1);
+        const same = voice(67.2, 2);
+        
+        assert.deepEqual(rankVoices([a, b, same], 'retrigger', { note: 67 }), [same, a, b]);
+    });
+});
+
+describe('allocateVoice', () => {
+    it('uses a free slot while under the limit', () => {
+        const voices = [voice(60, 0), voice(62, 1, { playing: false }), voice(64, 2)];
+        
+        assert.deepEqual(allocateVoice(voices, { limit: 4, note: 65 }), { index: 1, stolen: [] });
+        assert.deepEqual(allocateVoice(voices.slice(0, 1), { limit: 4, note: 65 }), { index: 1, stolen: [] });
+    });
+    
+    it('steals the oldest voice at the limit', () => {
+        const oldest = voice(60, 0);
+        const voices = [voice(62, 1), oldest, voice(64, 2)];
+        
+        assert.deepEqual(allocateVoice(voices, { limit: 3, strategy: 'oldest', note: 65 }), { index: 1, stolen: [oldest] });
+    });
+    
+    it('steals the quietest voice at the limit', () => {
+        const quiet = voice(62, 1, { level: 0.1 });
+        const voices = [voice(60, 0), quiet, voice(64, 2)];
+        
+        const { stolen } = allocateVoice(voices, { limit: 3, strategy: 'quietest', note: 65, time: 5 });
+        assert.deepEqual(stolen, [quiet]);
+    });
+    
+    it('steals the voice farthest from the new note at the limit', () => {
+        const far = voice(40, 2);
+        const voices = [voice(60, 0), voice(62, 1), far];
+        
+        const { index, stolen } = allocateVoice(voices, { limit: 3, strategy: 'farthest', note: 63 });
+        assert.deepEqual(stolen, [far]);
+        assert.equal(index, 2);
+    });
+    
+    it('retriggers a held note even when under the limit', () => {
+        const same = voice(64, 2);
+        const voices = [voice(60, 0), same];
+        
+        assert.deepEqual(allocateVoice(voices, { limit: 8, strategy: 'retrigger', note: 64 }), { index: 1, stolen: [same] });
+    });
+    
+    it('falls back to a free slot, then the oldest voice, when the retriggered note is not held', () => {
+        const oldest = voice(60, 0);
+        const voices = [voice(62, 1), oldest];
+        
+        assert.deepEqual(allocateVoice(voices, { limit: 8, strategy: 'retrigger', note: 70 }), { index: 2, stolen: [] });
+        assert.deepEqual(allocateVoice(voices, { limit: 2, strategy: 'retrigger', note: 70 }), { index: 1, stolen: [oldest] });
+    });
+    
+    it('budgets unison voices by cost against the limit', () => {
+        // Two 3-member unison voices cost 2 each, filling a limit of 4
+        const cost = unisonCost(3);
+        const oldest = voice(60, 0, { cost });
+        const voices = [oldest, voice(62, 1, { cost })];
+        
+        assert.equal(cost, 2);
+        assert.deepEqual(allocateVoice(voices, { limit: 5, cost: 1, note: 64 }), { index: 2, stolen: [] });
+        assert.deepEqual(allocateVoice(voices, { limit: 5, cost, note: 64 }).stolen, [oldest]);
+        assert.deepEqual(allocateVoice(voices, { limit: 4, cost: 1, note: 64 }).stolen, [oldest]);
+    });
+    
+    it('steals as many voices as a heavy new voice needs', () => {
+        const voices = [voice(60, 0), voice(62, 1), voice(64, 2), voice(65, 3)];
+        const cost = unisonCost(maxUnisonMembers(4));
+        
+        assert.equal(cost, 4);
+        assert.deepEqual(allocateVoice(voices, { limit: 4, cost, note: 67 }).stolen, voices);
+    });
+});
+
+describe('selectExcessVoices', () => {
+    it('selects nothing when the voices fit the limit', () => {
+        const voices = [voice(60, 0), voice(62, 1)];
+        
+        assert.deepEqual(selectExcessVoices(voices, 2), []);
+    });
+    
+    it('trims to a lowered limit the same way stealing would', () => {
+        // setComplexity lowering the limit from 6 to 3
+        const voices = [voice(60, 3), voice(62, 0), voice(64, 1), voice(65, 2), voice(67, 4), voice(69, 5)];
+        
+        assert.deepEqual(selectExcessVoices(voices, 3, 'oldest'), [voices[1], voices[2], voices[3]]);
+        
+        const quiet = [voice(60, 0, { level: 0.9 }), voice(62, 1, { level: 0.1 }), voice(64, 2, { level: 0.5 })];
+        assert.deepEqual(selectExcessVoices(quiet, 1, 'quietest', 5), [quiet[1], quiet[2]]);
+    });
+    
+    it('counts unison cost when trimming', () => {
+        const heavy = voice(60, 0, { cost: unisonCost(5) });
+        const voices = [heavy, voice(62, 1), voice(64, 2)];
+        
+        assert.deepEqual(selectExcessVoices(voices, 2), [heavy]);
+    });
+});
\ No newline at end of file
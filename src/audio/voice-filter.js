@@ -0,0 +1,168 @@
+// Per-voice filter - lowpass, bandpass, highpass or notch biquads (one stage for 12 dB, two for
+// 24 dB) or the resonant ladder worklet. Every variant exposes frequency, detune and Q params
+// like a BiquadFilterNode, so envelopes and modulation don't need to know which one a voice has.
+
+export const FILTER_TYPES = {
+    lowpass: 'Lowpass',
+    bandpass: 'Bandpass',
+    highpass: 'Highpass',
+    notch: 'Notch',
+    ladder: 'Ladder'
+};
+
+export const FILTER_SLOPES = [12, 24];
+
+// What touch Y drives: cutoff and resonance (the original mapping), either one, or nothing
+export const Y_MAPPINGS = {
+    both: 'Cutoff + Res',
+    cutoff: 'Cutoff',
+    resonance: 'Resonance',
+    off: 'Off'
+};
+
+const Y_CUTOFF_RANGE = 4000;    // Hz added at the top of the surface
+const Y_RESONANCE_RANGE = 3;    // Q added at the top of the surface
+const KEY_TRACK_REFERENCE = 261.63; // Key tracking leaves cutoff unchanged at middle C
+
+export const FILTER_LIMITS = {
+    cutoff: [20, 8000],
+    resonance: [0.5, 10],
+    keyTracking: [0, 1]
+};
+
+// Cutoff in Hz for a voice at touch Y playing frequency
+export function filterCutoff(filter, y, frequency) {
+    let cutoff = filter.cutoff;
+    if (filter.yMapping === 'both' || filter.yMapping === 'cutoff') {
+        cutoff += y * Y_CUTOFF_RANGE;
+    }
+    cutoff *= Math.pow(frequency / KEY_TRACK_REFERENCE, filter.keyTracking);
+    return Math.max(20, Math.min(20000, cutoff));
+}
+
+export function filterResonance(filter, y) {
+    if (filter.yMapping === 'both' || filter.yMapping === 'resonance') {
+        return filter.resonance + y * Y_RESONANCE_RANGE;
+    }
+    return filter.resonance;
+}
+
+// Contexts that have the ladder processor loaded
+const readyContexts = new WeakSet();
+
+export async function loadLadderWorklet(audioContext) {
+    if (readyContexts.has(audioContext)) return true;
+    if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+    
+    try {
+        await audioContext.audioWorklet.addModule(
+            new URL('./worklets/ladder-processor.js', import.meta.url)
+        );
+        readyContexts.add(audioContext);
+        return true;
+    } catch (error) {
+        console.error('Ladder filter worklet unavailable, falling back to a 24 dB lowpass:', error);
+        return false;
+    }
+}
+
+export class VoiceFilter {
+    // channels is 2 when the voice is already stereo (unison spread) before the filter
+    constructor(audioContext, { type = 'lowpass', slope = 12, channels = 1 } = {}) {
+        this.audioContext = audioContext;
+        this.drivers = [];
+        this.node = null; // Ladder worklet node, when the voice has one
+        
+        if (type === 'ladder' && readyContexts.has(audioContext)) {
+            this.node = new AudioWorkletNode(audioContext, 'oil-ladder-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: channels,
+                channelCountMode: 'explicit',
+                outputChannelCount: [channels],
+                processorOptions: { slope, channels }
+            });
+            this.input = this.node;
+            this.output = this.node;
+            this.frequency = this.node.parameters.get('frequency');
+            this.detune = this.node.parameters.get('detune');
+            this.Q = this.node.parameters.get('Q');
+            return;
+        }
+        
+        // Without the worklet a ladder becomes a 24 dB lowpass
+        const biquadType = type === 'ladder' ? 'lowpass' : type;
+        const stageCount = slope === 24 || type === 'ladder' ? 2 : 1;
+        const stages = Array.from({ length: stageCount }, () => {
+            const stage = audioContext.createBiquadFilter();
+            stage.type = biquadType;
+            return stage;
+        });
+        stages.reduce((previous, stage) => {
+            previous.connect(stage);
+            return stage;
+        });
+        
+        this.input = stages[0];
+        this.output = stages[stages.length - 1];
+        
+        if (stageCount === 1) {
+            this.frequency = stages[0].frequency;
+            this.detune = stages[0].detune;
+            this.Q = stages[0].Q;
+            return;
+        }
+        
+        // Cascaded stages follow one set of driver params. Lowpass and highpass keep the resonant
+        // peak on the first stage and a flat Butterworth second stage; band filters share the Q.
+        const frequency = this.createDriver(stages.map(stage => stage.frequency));
+        const detune = this.createDriver(stages.map(stage => stage.detune));
+        const resonant = biquadType === 'lowpass' || biquadType === 'highpass' ? [stages[0]] : stages;
+        const Q = this.createDriver(resonant.map(stage => stage.Q));
+        stages.filter(stage => !resonant.includes(stage)).forEach(stage => {
+            stage.Q.value = Math.SQRT1_2;
+        });
+        
+        this.frequency = frequency.offset;
+        this.detune = detune.offset;
+        this.Q = Q.offset;
+    }
+    
+    // Constant source summed into each stage's param (whose own value is zeroed)
+    createDriver(params) {
+        const driver = this.audioContext.createConstantSource();
+        params.forEach(param => {
+            param.value = 0;
+            driver.connect(param);
+        });
+        this.drivers.push(driver);
+        return driver;
+    }
+    
+    connect(destination) {
+        this.output.connect(destination);
+    }
+    
+    // Also ends the ladder processor, which would otherwise keep running on the audio thread
+    disconnect() {
+        this.output.disconnect();
+        if (this.node) {
+            this.node.port.postMessage({ type: 'stop' });
+            this.node = null;
+        }
+    }
+    
+    start(time) {
+        this.drivers.forEach(driver => driver.start(time));
+    }
+    
+    stop(time) {
+        this.drivers.forEach(driver => {
+            try {
+                driver.stop(time);
+            } catch (e) {
+                // Driver might already be stopped
+            }
+        });
+    }
+}
\ No newline at end of file
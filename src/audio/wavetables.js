@@ -0,0 +1,202 @@
+// Wavetable bank - each table is a list of frames, each frame a set of harmonic amplitudes
+// that becomes a PeriodicWave. Voices crossfade between neighbouring frames to morph.
+
+const FRAME_SIZE = 2048;      // Standard multi-frame wavetable frame length
+const MAX_HARMONICS = 128;    // Harmonics kept when analysing imported audio
+const MAX_IMPORT_FRAMES = 64; // Frames kept from large imported tables
+const MAX_CYCLE_LENGTH = 4096; // Longest single cycle; longer audio isn't one cycle, and its DFT would stall the UI
+
+// Drawbar registrations on harmonics 1, 2, 3, 4, 5, 6, 8 (8' through 1')
+function organFrames() {
+    const harmonics = [1, 2, 3, 4, 5, 6, 8];
+    const registrations = [
+        [8, 0, 0, 0, 0, 0, 0],
+        [8, 8, 0, 0, 0, 0, 0],
+        [8, 8, 8, 0, 0, 0, 0],
+        [8, 8, 8, 8, 0, 0, 0],
+        [8, 6, 8, 4, 4, 4, 8],
+        [8, 8, 8, 8, 8, 8, 8]
+    ];
+    
+    return registrations.map(drawbars => {
+        const amplitudes = new Array(9).fill(0);
+        drawbars.forEach((level, i) => {
+            // Each drawbar step is 3 dB
+            amplitudes[harmonics[i]] = level === 0 ? 0 : Math.pow(2, (level - 8) / 2);
+        });
+        return amplitudes;
+    });
+}
+
+// Formant peaks for A E I O U, shaped on a 110 Hz fundamental
+function vocalFrames() {
+    const vowels = [
+        [730, 1090, 2440],
+        [530, 1840, 2480],
+        [270, 2290, 3010],
+        [570, 840, 2410],
+        [300, 870, 2240]
+    ];
+    const formantGains = [1, 0.6, 0.3];
+    const bandwidth = 120;
+    
+    return vowels.map(formants => {
+        const amplitudes = [0];
+        for (let h = 1; h <= 64; h++) {
+            const frequency = h * 110;
+            let level = 0;
+            formants.forEach((formant, i) => {
+                level += formantGains[i] * Math.exp(-Math.pow((frequency - formant) / bandwidth, 2));
+            });
+            amplitudes.push(level + 0.02 / h);
+        }
+        return amplitudes;
+    });
+}
+
+// FM-style sidebands around a rising carrier harmonic
+function metallicFrames() {
+    return Array.from({ length: 6 }, (_, k) => {
+        const carrier = 5 + k * 2;
+        const amplitudes = new Array(2 * carrier + 2).fill(0);
+        amplitudes[1] = 0.6;
+        amplitudes[carrier - 1] += 0.8;
+        amplitudes[carrier + 1] += 0.8;
+        amplitudes[2 * carrier - 1] += 0.5;
+        amplitudes[2 * carrier + 1] += 0.5;
+        return amplitudes;
+    });
+}
+
+// Near-sine with sparse high partials that grow across the table
+function glassyFrames() {
+    const partials = [3, 7, 12, 19, 27];
+    return Array.from({ length: 5 }, (_, k) => {
+        const amplitudes = new Array(28).fill(0);
+        amplitudes[1] = 1;
+        partials.forEach((h, i) => {
+            amplitudes[h] = (0.08 + k * 0.06) / (i + 1);
+        });
+        return amplitudes;
+    });
+}
+
+export const BUILT_IN_WAVETABLES = {
+    organ: { name: 'Organ', frames: organFrames() },
+    vocal: { name: 'Vocal Formants', frames: vocalFrames() },
+    metallic: { name: 'Metallic', frames: metallicFrames() },
+    glassy: { name: 'Glassy', frames: glassyFrames() }
+};
+
+// Sample rate from a WAV header, so single cycles can be decoded without resampling
+function readWavSampleRate(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 44) return null;
+    
+    const tag = (offset) => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+    if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+    
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset + 4, true);
+        if (tag(offset) === 'fmt ') {
+            return view.getUint32(offset + 12, true);
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+// Fourier analysis of one cycle into PeriodicWave coefficients
+function analyseCycle(samples) {
+    const length = samples.length;
+    const harmonics = Math.min(MAX_HARMONICS, Math.floor(length / 2));
+    const real = new Float32Array(harmonics + 1);
+    const imag = new Float32Array(harmonics + 1);
+    
+    for (let k = 1; k <= harmonics; k++) {
+        let re = 0;
+        let im = 0;
+        for (let n = 0; n < length; n++) {
+            const phase = (2 * Math.PI * k * n) / length;
+            re += samples[n] * Math.cos(phase);
+            im += samples[n] * Math.sin(phase);
+        }
+        real[k] = (2 * re) / length;
+        imag[k] = (2 * im) / length;
+    }
+    
+    return { real, imag };
+}
+
+export class WavetableBank {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.tables = new Map(); // key -> { name, waves: PeriodicWave[] }
+        this.imported = [];
+        
+        Object.entries(BUILT_IN_WAVETABLES).forEach(([key, table]) => {
+            this.tables.set(key, {
+                name: table.name,
+                waves: table.frames.map(amplitudes => this.createWaveFromAmplitudes(amplitudes))
+            });
+        });
+    }
+    
+    // Harmonic amplitudes in sine phase
+    createWaveFromAmplitudes(amplitudes) {
+        const real = new Float32Array(amplitudes.length);
+        const imag = Float32Array.from(amplitudes);
+        imag[0] = 0;
+        return this.audioContext.createPeriodicWave(real, imag);
+    }
+    
+    getTable(key) {
+        return this.tables.get(key) || this.tables.get('organ');
+    }
+    
+    getTableList() {
+        return Array.from(this.tables.entries()).map(([key, table]) => ({
+            key,
+            name: table.name,
+            frames: table.waves.length
+        }));
+    }
+    
+    // Import a single-cycle WAV, or a multi-frame table made of 2048-sample frames
+    async importWav(arrayBuffer, name = 'Imported') {
+        const sampleRate = readWavSampleRate(arrayBuffer) || this.audioContext.sampleRate;
+        const decoder = new OfflineAudioContext(1, 1, sampleRate);
+        const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+        const samples = audioBuffer.getChannelData(0);
+        
+        if (samples.length < 8) {
+            throw new Error('Audio file is too short to be a single cycle');
+        }
+        
+        let frames = [samples];
+        if (samples.length > FRAME_SIZE && samples.length % FRAME_SIZE === 0) {
+            const frameCount = samples.length / FRAME_SIZE;
+            const stride = Math.max(1, Math.ceil(frameCount / MAX_IMPORT_FRAMES));
+            frames = [];
+            for (let i = 0; i < frameCount; i += stride) {
+                frames.push(samples.subarray(i * FRAME_SIZE, (i + 1) * FRAME_SIZE));
+            }
+        } else if (samples.length > MAX_CYCLE_LENGTH) {
+            throw new Error(`Audio file is too long to be a single cycle (${samples.length} samples, at most ${MAX_CYCLE_LENGTH})`);
+        }
+        
+        const waves = frames.map(frame => {
+            const { real, imag } = analyseCycle(frame);
+            return this.audioContext.createPeriodicWave(real, imag);
+        });
+        
+        const key = `imported-${this.imported.length + 1}`;
+        this.tables.set(key, { name, waves });
+        this.imported.push(key);
+        
+        return key;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Bitcrusher / decimator - quantizes to a reduced bit depth and holds each sample for
+// `downsample` frames (fractional values give the uneven, aliased steps of cheap samplers).
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 4, minValue: 1, maxValue: 64, automationRate: 'k-rate' }
+        ];
+    }
+    
+    constructor() {
+        super();
+        this.phase = 0;
+        this.held = [];
+    }
+    
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        
+        const step = 2 / Math.pow(2, parameters.bits[0]);
+        const hold = parameters.downsample[0];
+        
+        for (let i = 0; i < output[0].length; i++) {
+            this.phase += 1;
+            const sample = this.phase >= hold;
+            if (sample) this.phase -= hold;
+            
+            for (let channel = 0; channel < output.length; channel++) {
+                const source = input[channel] || input[0];
+                if (!source) {
+                    output[channel][i] = 0;
+                    continue;
+                }
+                
+                if (sample || this.held[channel] === undefined) {
+                    this.held[channel] = step * Math.round(source[i] / step);
+                }
+                output[channel][i] = this.held[channel];
+            }
+        }
+        
+        return true;
+    }
+}
+
+registerProcessor('oil-bitcrusher-processor', BitcrusherProcessor);
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Loop capture tap - keeps its input as raw Float32 PCM in a ring buffer a little longer than the
+// longest take, so a take can begin on the exact frame record was pressed even though the start
+// message only arrives a block or two later. Takes are cut on context frames, not message timing.
+// Messages in:  { type: 'start', id, frame }  - the take begins at this context frame
+//               { type: 'stop', id, frame }   - the take ends just before this frame
+//               { type: 'cancel' }
+// Messages out: { type: 'take', id, startFrame, channels } with one Float32Array per channel (transferred).
+// A take reaching maxSeconds ends by itself and is posted straight away.
+
+const HEADROOM = 1; // seconds kept before a take's start, for start frames already in the past
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { maxSeconds = 30, channels = 2 } = options.processorOptions || {};
+        
+        this.maxFrames = Math.ceil(maxSeconds * sampleRate);
+        this.capacity = this.maxFrames + Math.ceil(HEADROOM * sampleRate);
+        this.ring = Array.from({ length: channels }, () => new Float32Array(this.capacity));
+        
+        // Context frame just after the newest sample in the ring (ring index = frame modulo capacity)
+        this.writtenFrame = currentFrame;
+        this.take = null; // { id, startFrame, stopFrame }
+        
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'start': {
+                // Frames older than the ring can't be recovered, so start as early as still possible
+                const oldest = Math.max(0, this.writtenFrame - (this.capacity - this.maxFrames));
+                const startFrame = Math.max(oldest, Math.round(message.frame));
+                this.take = { id: message.id, startFrame, stopFrame: startFrame + this.maxFrames };
+                break;
+            }
+            case 'stop':
+                if (this.take && this.take.id === message.id) {
+                    this.take.stopFrame = Math.max(this.take.startFrame, Math.min(this.take.stopFrame, Math.round(message.frame)));
+                }
+                break;
+            case 'cancel':
+                this.take = null;
+                break;
+        }
+    }
+    
+    // Copy a take out of the ring and hand it to the main thread
+    finishTake() {
+        const { id, startFrame, stopFrame } = this.take;
+        const length = stopFrame - startFrame;
+        
+        const channels = this.ring.map(ring => {
+            const data = new Float32Array(length);
+            const start = startFrame % this.capacity;
+            const firstPart = Math.min(length, this.capacity - start);
+            data.set(ring.subarray(start, start + firstPart));
+            if (firstPart < length) {
+                data.set(ring.subarray(0, length - firstPart), firstPart);
+            }
+            return data;
+        });
+        
+        this.port.postMessage({ type: 'take', id, startFrame, channels }, channels.map(data => data.buffer));
+        this.take = null;
+    }
+    
+    process(inputs) {
+        const input = inputs[0];
+        const blockLength = input.length > 0 ? input[0].length : 128;
+        const index = currentFrame % this.capacity;
+        const firstPart = Math.min(blockLength, this.capacity - index);
+        
+        this.ring.forEach((ring, channel) => {
+            // Mono input fills every channel; no input at all is written as silence
+            const data = input[channel] || input[0];
+            if (data) {
+                ring.set(data.subarray(0, firstPart), index);
+                ring.set(data.subarray(firstPart), 0);
+            } else {
+                ring.fill(0, index, index + firstPart);
+                ring.fill(0, 0, blockLength - firstPart);
+            }
+        });
+        this.writtenFrame = currentFrame + blockLength;
+        
+        if (this.take && this.writtenFrame >= this.take.stopFrame) {
+            this.finishTake();
+        }
+        return true;
+    }
+}
+
+registerProcessor('oil-capture-processor', CaptureProcessor);
\ No newline at end of file
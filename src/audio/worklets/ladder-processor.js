@@ -0,0 +1,94 @@
+// Ladder filter - four one-pole stages with saturated resonance feedback, in the style of the
+// classic transistor ladder. Resonance takes Q-like values like a BiquadFilterNode; past about
+// Q 5 the feedback loop self-oscillates at the cutoff, and tanh keeps it bounded.
+// processorOptions: { slope: 12 | 24, channels: 1 | 2 } (12 dB taps the second stage).
+// The voice processor has its own copy of the ladder, since worklet modules can't share imports here.
+// Message in: { type: 'stop' } - the voice is gone; the processor ends so it can be collected.
+// It also ends by itself once its input has gone and the ladder has rung out.
+
+const MAX_FEEDBACK = 5;
+const SILENCE = 1e-6; // Stage level treated as rung out
+
+class LadderChannel {
+    constructor() {
+        this.stages = [0, 0, 0, 0];
+    }
+    
+    process(input, g, feedback, slope) {
+        const s = this.stages;
+        
+        // Drive compensation keeps the passband level up as resonance rises
+        const x = Math.tanh(input * (1 + feedback * 0.25) - feedback * s[3]);
+        s[0] += g * (x - s[0]);
+        s[1] += g * (s[0] - s[1]);
+        s[2] += g * (s[1] - s[2]);
+        s[3] += g * (s[2] - s[3]);
+        
+        return slope === 12 ? s[1] : s[3];
+    }
+    
+    isSilent() {
+        return this.stages.every(stage => Math.abs(stage) < SILENCE);
+    }
+}
+
+class LadderProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'frequency', defaultValue: 1000, minValue: 0, maxValue: 20000, automationRate: 'k-rate' },
+            { name: 'detune', defaultValue: 0, minValue: -9600, maxValue: 9600, automationRate: 'k-rate' },
+            { name: 'Q', defaultValue: 1, minValue: 0, maxValue: 20, automationRate: 'k-rate' }
+        ];
+    }
+    
+    constructor(options) {
+        super();
+        const processorOptions = (options && options.processorOptions) || {};
+        this.slope = processorOptions.slope === 12 ? 12 : 24;
+        this.channels = Array.from({ length: processorOptions.channels || 1 }, () => new LadderChannel());
+        
+        this.stopped = false;
+        this.hadInput = false;
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+    
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        
+        if (this.stopped) return false;
+        
+        // With no input left (the voice's sources have stopped), run only until the ladder is silent
+        if (input.length > 0) {
+            this.hadInput = true;
+        } else if (this.hadInput && this.channels.every(ladder => ladder.isSilent())) {
+            return false;
+        }
+        
+        const cutoff = Math.min(
+            sampleRate * 0.45,
+            Math.max(20, parameters.frequency[0] * Math.pow(2, parameters.detune[0] / 1200))
+        );
+        const warped = Math.tan(Math.PI * cutoff / sampleRate);
+        const g = warped / (1 + warped);
+        const feedback = Math.max(0, Math.min(MAX_FEEDBACK, parameters.Q[0] - 0.5));
+        
+        for (let channel = 0; channel < output.length; channel++) {
+            const source = input[channel] || input[0];
+            const ladder = this.channels[channel] || this.channels[0];
+            const destination = output[channel];
+            
+            for (let i = 0; i < destination.length; i++) {
+                destination[i] = ladder.process(source ? source[i] : 0, g, feedback, this.slope);
+            }
+        }
+        
+        return true;
+    }
+}
+
+registerProcessor('oil-ladder-processor', LadderProcessor);
\ No newline at end of file
@@ -0,0 +1,114 @@
+// Lookahead brickwall limiter. Peaks are estimated between samples (cubic interpolation at 4x)
+// so inter-sample overs are caught too, then the gain is held down across the lookahead window
+// before the delayed audio reaches the output. Posts { type: 'reduction', db } a few times a second.
+
+const LOOKAHEAD = 0.003;   // seconds
+const OVERSAMPLE = 4;
+const REPORT_INTERVAL = 2048; // frames between gain reduction reports
+
+// Catmull-Rom interpolation between p1 and p2
+function interpolate(p0, p1, p2, p3, t) {
+    return p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+}
+
+class LimiterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.1, minValue: 0.01, maxValue: 2, automationRate: 'k-rate' }
+        ];
+    }
+    
+    constructor() {
+        super();
+        this.lookahead = Math.max(1, Math.round(LOOKAHEAD * sampleRate));
+        
+        // Per-channel delay lines and the last four input samples for peak interpolation
+        this.delayLines = [];
+        this.history = [];
+        this.writeIndex = 0;
+        
+        // Required gain for each frame in the lookahead window
+        this.required = new Float32Array(this.lookahead).fill(1);
+        this.gain = 1;
+        this.attackCoefficient = 1 - Math.exp(-5 / this.lookahead);
+        
+        this.minGain = 1;
+        this.framesSinceReport = 0;
+    }
+    
+    ensureChannels(count) {
+        while (this.delayLines.length < count) {
+            this.delayLines.push(new Float32Array(this.lookahead));
+            this.history.push([0, 0, 0, 0]);
+        }
+    }
+    
+    // Largest absolute value on or between the latest samples of a channel
+    truePeak(history) {
+        const [p0, p1, p2, p3] = history;
+        let peak = Math.abs(p2);
+        for (let k = 1; k < OVERSAMPLE; k++) {
+            peak = Math.max(peak, Math.abs(interpolate(p0, p1, p2, p3, k / OVERSAMPLE)));
+        }
+        return peak;
+    }
+    
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const channels = output.length;
+        this.ensureChannels(channels);
+        
+        const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+        const releaseCoefficient = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+        
+        for (let i = 0; i < output[0].length; i++) {
+            // Detect on the incoming samples
+            let peak = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                const source = input[channel] || input[0];
+                const sample = source ? source[i] : 0;
+                const history = this.history[channel];
+                history.shift();
+                history.push(sample);
+                peak = Math.max(peak, this.truePeak(history));
+            }
+            
+            // Hold the lowest gain needed anywhere in the window (which still includes the frame about to
+            // leave the delay line), so it is in place before the peak arrives
+            const required = peak > ceiling ? ceiling / peak : 1;
+            let target = required;
+            for (let j = 0; j < this.lookahead; j++) {
+                if (this.required[j] < target) target = this.required[j];
+            }
+            this.required[this.writeIndex] = required;
+            
+            const coefficient = target < this.gain ? this.attackCoefficient : releaseCoefficient;
+            this.gain += (target - this.gain) * coefficient;
+            this.minGain = Math.min(this.minGain, this.gain);
+            
+            // Output the delayed samples, with a final clamp so nothing passes the ceiling
+            for (let channel = 0; channel < channels; channel++) {
+                const delayLine = this.delayLines[channel];
+                const source = input[channel] || input[0];
+                const delayed = delayLine[this.writeIndex];
+                delayLine[this.writeIndex] = source ? source[i] : 0;
+                output[channel][i] = Math.max(-ceiling, Math.min(ceiling, delayed * this.gain));
+            }
+            
+            this.writeIndex = (this.writeIndex + 1) % this.lookahead;
+        }
+        
+        this.framesSinceReport += output[0].length;
+        if (this.framesSinceReport >= REPORT_INTERVAL) {
+            this.port.postMessage({ type: 'reduction', db: 20 * Math.log10(this.minGain) });
+            this.minGain = 1;
+            this.framesSinceReport = 0;
+        }
+        
+        return true;
+    }
+}
+
+registerProcessor('oil-limiter-processor', LimiterProcessor);
\ No newline at end of file
@@ -0,0 +1,494 @@
+// AudioWorklet voice engine - renders every classic voice (unison saws + detuned square + sine sub
+// through a resonant filter, panned into a stereo output) inside one node. Driven entirely by port messages:
+//   { type: 'noteOn', id, frequency, level, pan, cutoff, q, filter: { type, slope }, unison, noise, ampEnvelope, filterEnvelope }
+//   { type: 'update', id, frequency, cutoff, q, pan, glide, noiseLevel }
+//   { type: 'modulate', id, offsets: { pitch, cutoff, resonance, gain } }
+//   { type: 'retrigger', id }
+//   { type: 'noteOff', id, release }  (release overrides the envelope's release time, e.g. for stolen voices)
+//   { type: 'allOff' }
+// and posts { type: 'ended', id } once a voice's release has finished. noteOn, update, retrigger and
+// noteOff may carry a context time to wait for (to the block); allOff drops anything still waiting.
+
+const MAX_VOICES = 32;
+const CENTRE = Math.SQRT1_2; // Equal-power gain of a centred source
+const MAX_LADDER_FEEDBACK = 5;
+
+// Linear attack, exponential decay toward sustain and exponential release (matches the node engine)
+class Envelope {
+    constructor(settings) {
+        this.settings = settings;
+        this.stage = 'attack';
+        this.level = 0;
+    }
+    
+    // Back to the attack stage from the current level
+    retrigger() {
+        this.stage = 'attack';
+    }
+    
+    release(time = this.settings.release) {
+        this.stage = 'release';
+        this.releaseTime = time;
+    }
+    
+    process() {
+        const { attack, decay, sustain } = this.settings;
+        
+        switch (this.stage) {
+            case 'attack':
+                this.level += 1 / Math.max(1, attack * sampleRate);
+                if (this.level >= 1) {
+                    this.level = 1;
+                    this.stage = 'decay';
+                }
+                break;
+            case 'decay':
+                this.level += (sustain - this.level) * (1 - Math.exp(-3 / (decay * sampleRate)));
+                break;
+            case 'release':
+                this.level -= this.level * (1 - Math.exp(-5 / (this.releaseTime * sampleRate)));
+                break;
+        }
+        
+        return this.level;
+    }
+    
+    get finished() {
+        return this.stage === 'release' && this.level < 0.0001;
+    }
+}
+
+// Band-limited step correction for the naive saw and square
+function polyBlep(phase, increment) {
+    if (phase < increment) {
+        const t = phase / increment;
+        return t + t - t * t - 1;
+    }
+    if (phase > 1 - increment) {
+        const t = (phase - 1) / increment;
+        return t * t + t + t + 1;
+    }
+    return 0;
+}
+
+// Zavalishin TPT state-variable filter stage; bandpass is scaled for a 0 dB peak like the biquad
+class SvfStage {
+    constructor() {
+        this.ic1 = 0;
+        this.ic2 = 0;
+    }
+    
+    process(input, c, type) {
+        const v3 = input - this.ic2;
+        const v1 = c.a1 * this.ic1 + c.a2 * v3;
+        const v2 = this.ic2 + c.a2 * this.ic1 + c.a3 * v3;
+        this.ic1 = 2 * v1 - this.ic1;
+        this.ic2 = 2 * v2 - this.ic2;
+        
+        switch (type) {
+            case 'bandpass':
+                return c.k * v1;
+            case 'highpass':
+                return input - c.k * v1 - v2;
+            case 'notch':
+                return input - c.k * v1;
+            default:
+                return v2;
+        }
+    }
+}
+
+// Written in place - these are refreshed every 16 samples, so no allocation on the audio thread
+function setSvfCoefficients(c, g, k) {
+    c.a1 = 1 / (1 + g * (g + k));
+    c.a2 = g * c.a1;
+    c.a3 = g * c.a2;
+    c.k = k;
+}
+
+// Noise generators - same algorithms as noise.js (worklet modules can't share imports here)
+const CRACKLE_RATE = 14;
+const BUBBLE_RATE = 3;
+
+class PinkFilter {
+    constructor() {
+        this.b0 = 0;
+        this.b1 = 0;
+        this.b2 = 0;
+    }
+    
+    process(white) {
+        this.b0 = 0.99765 * this.b0 + white * 0.0990460;
+        this.b1 = 0.96300 * this.b1 + white * 0.2965164;
+        this.b2 = 0.57000 * this.b2 + white * 1.0526913;
+        return (this.b0 + this.b1 + this.b2 + white * 0.1848) * 0.25;
+    }
+}
+
+class CrackleGenerator {
+    constructor() {
+        this.click = 0;
+        this.clickDecay = Math.exp(-1 / (0.0008 * sampleRate));
+        this.bubble = 0;
+        this.bubbleDecay = Math.exp(-1 / (0.012 * sampleRate));
+        this.bubblePhase = 0;
+        this.bubbleFrequency = 0;
+    }
+    
+    next() {
+        if (Math.random() < CRACKLE_RATE / sampleRate) {
+            this.click = 0.3 + 0.7 * Math.random();
+        }
+        if (Math.random() < BUBBLE_RATE / sampleRate) {
+            this.bubble = 0.2 + 0.4 * Math.random();
+            this.bubbleFrequency = 300 + Math.random() * 1200;
+            this.bubblePhase = 0;
+        }
+        
+        let output = this.click * (Math.random() * 2 - 1);
+        this.click *= this.clickDecay;
+        
+        if (this.bubble > 0.0005) {
+            output += Math.sin(this.bubblePhase) * this.bubble;
+            this.bubblePhase += (2 * Math.PI * this.bubbleFrequency) / sampleRate;
+            this.bubbleFrequency *= 1.00005;
+            this.bubble *= this.bubbleDecay;
+        }
+        
+        return output;
+    }
+}
+
+// Noise layer with its own envelope and a two-pole colour lowpass; message is { type, level, cutoff, envelope }
+class NoiseLayer {
+    constructor(message) {
+        this.type = message.type;
+        this.level = message.level;
+        this.envelope = new Envelope(message.envelope);
+        this.pink = new PinkFilter();
+        this.crackle = new CrackleGenerator();
+        
+        this.coefficient = 1 - Math.exp(-2 * Math.PI * Math.min(message.cutoff, sampleRate * 0.45) / sampleRate);
+        this.lowpass1 = 0;
+        this.lowpass2 = 0;
+    }
+    
+    next() {
+        let sample;
+        if (this.type === 'crackle') {
+            sample = this.crackle.next();
+        } else {
+            const white = Math.random() * 2 - 1;
+            sample = this.type === 'pink' ? this.pink.process(white) : white;
+        }
+        
+        this.lowpass1 += this.coefficient * (sample - this.lowpass1);
+        this.lowpass2 += this.coefficient * (this.lowpass1 - this.lowpass2);
+        return this.lowpass2 * this.envelope.process() * this.level;
+    }
+}
+
+// Same ladder as ladder-processor.js (worklet modules can't share imports here)
+class LadderStage {
+    constructor() {
+        this.stages = [0, 0, 0, 0];
+    }
+    
+    process(input, g, feedback, slope) {
+        const s = this.stages;
+        const x = Math.tanh(input * (1 + feedback * 0.25) - feedback * s[3]);
+        s[0] += g * (x - s[0]);
+        s[1] += g * (s[0] - s[1]);
+        s[2] += g * (s[1] - s[2]);
+        s[3] += g * (s[2] - s[3]);
+        
+        return slope === 12 ? s[1] : s[3];
+    }
+}
+
+// One channel of a voice filter: a ladder, or one or two SVF stages (12 or 24 dB)
+class FilterChannel {
+    constructor(type, slope) {
+        this.type = type;
+        this.slope = slope;
+        this.ladder = type === 'ladder' ? new LadderStage() : null;
+        this.stages = type === 'ladder' ? [] : Array.from({ length: slope === 24 ? 2 : 1 }, () => new SvfStage());
+    }
+    
+    // coefficients come from Voice.updateFilter - { resonant, flat, g, feedback }
+    process(input, coefficients) {
+        if (this.ladder) {
+            return this.ladder.process(input, coefficients.g, coefficients.feedback, this.slope);
+        }
+        
+        let output = this.stages[0].process(input, coefficients.resonant, this.type);
+        if (this.stages.length > 1) {
+            // Like the node engine's cascade, band filters share the Q; lowpass and highpass get a flat second stage
+            const second = this.type === 'bandpass' || this.type === 'notch' ? coefficients.resonant : coefficients.flat;
+            output = this.stages[1].process(output, second, this.type);
+        }
+        return output;
+    }
+}
+
+class Voice {
+    constructor(message) {
+        this.id = message.id;
+        this.frequency = message.frequency;
+        this.targetFrequency = message.frequency;
+        this.glideCoefficient = 1;
+        this.level = message.level;
+        this.cutoff = message.cutoff;
+        this.q = message.q;
+        
+        // Unison saws, each { ratio, pan, gain }, with its own phase. Any spread makes the voice
+        // stereo before the filter, like the per-member panners in the node engine.
+        const unison = message.unison || [{ ratio: 1, pan: 0, gain: 1 }];
+        this.stereo = unison.some(member => member.pan !== 0);
+        this.saws = unison.map(member => {
+            const angle = (member.pan + 1) * Math.PI / 4;
+            return {
+                ratio: member.ratio,
+                gain: member.gain,
+                left: member.gain * Math.cos(angle),
+                right: member.gain * Math.sin(angle),
+                phase: 0
+            };
+        });
+        
+        // Pan matrix (left/right in -> left/right out), ramped across each block when the pan moves
+        this.setPan(message.pan || 0);
+        this.panMatrix = this.targetMatrix.slice();
+        this.panSteps = [0, 0, 0, 0]; // Per-sample ramp, refilled each block so render allocates nothing
+        
+        this.ampEnvelope = new Envelope(message.ampEnvelope);
+        this.filterEnvelope = new Envelope(message.filterEnvelope);
+        this.noise = message.noise ? new NoiseLayer(message.noise) : null;
+        this.filterAmount = message.filterEnvelope.amount || 0;
+        
+        // Modulation offsets: pitch and cutoff in cents, resonance in Q, gain as a fraction of level
+        this.modulation = { pitch: 0, cutoff: 0, resonance: 0, gain: 0 };
+        
+        this.squarePhase = 0;
+        this.subPhase = 0;
+        
+        // Filter state for the left channel, and the right for stereo voices
+        const filter = message.filter || {};
+        const filterType = filter.type || 'lowpass';
+        const slope = filter.slope === 24 ? 24 : 12;
+        this.filters = [new FilterChannel(filterType, slope)];
+        if (this.stereo) {
+            this.filters.push(new FilterChannel(filterType, slope));
+        }
+        this.coefficients = {
+            resonant: { a1: 1, a2: 0, a3: 0, k: 1 },
+            flat: { a1: 1, a2: 0, a3: 0, k: Math.SQRT2 },
+            g: 0,
+            feedback: 0
+        };
+    }
+    
+    // Recompute filter coefficients for a cutoff in Hz
+    updateFilter(cutoff) {
+        const warped = Math.tan(Math.PI * cutoff / sampleRate);
+        const q = this.q + this.modulation.resonance;
+        const c = this.coefficients;
+        
+        setSvfCoefficients(c.resonant, warped, 1 / Math.max(0.5, q));
+        setSvfCoefficients(c.flat, warped, Math.SQRT2);
+        c.g = warped / (1 + warped);
+        c.feedback = Math.max(0, Math.min(MAX_LADDER_FEEDBACK, q - 0.5));
+    }
+    
+    // Same laws as StereoPannerNode - equal power on a mono input, balance on a stereo one.
+    // The matrix is [left->left, right->left, left->right, right->right].
+    setPan(pan) {
+        pan = Math.max(-1, Math.min(1, pan));
+        
+        if (!this.stereo) {
+            const angle = (pan + 1) * Math.PI / 4;
+            this.targetMatrix = [Math.cos(angle), 0, Math.sin(angle), 0];
+            return;
+        }
+        
+        const angle = (pan <= 0 ? pan + 1 : pan) * Math.PI / 2;
+        this.targetMatrix = pan <= 0
+            ? [1, Math.cos(angle), 0, Math.sin(angle)]
+            : [Math.cos(angle), 0, Math.sin(angle), 1];
+    }
+    
+    setGlide(timeConstant) {
+        this.glideCoefficient = 1 - Math.exp(-1 / (Math.max(0.001, timeConstant) * sampleRate));
+    }
+    
+    // Adds this voice into the left and right channels; returns false once the voice has finished
+    render(left, right) {
+        const pitchRatio = Math.pow(2, this.modulation.pitch / 1200);
+        const gain = this.level * Math.max(0, 1 + this.modulation.gain);
+        
+        const length = left.length;
+        const matrix = this.panMatrix;
+        const steps = this.panSteps;
+        for (let j = 0; j < 4; j++) {
+            steps[j] = (this.targetMatrix[j] - matrix[j]) / length;
+        }
+        
+        for (let i = 0; i < length; i++) {
+            this.frequency += (this.targetFrequency - this.frequency) * this.glideCoefficient;
+            const frequency = this.frequency * pitchRatio;
+            
+            // Oscillators
+            const increment = frequency / sampleRate;
+            const squareIncrement = (frequency * 1.01) / sampleRate;
+            
+            let sawLeft = 0;
+            let sawRight = 0;
+            for (let s = 0; s < this.saws.length; s++) {
+                const saw = this.saws[s];
+                const sawIncrement = increment * saw.ratio;
+                const value = 2 * saw.phase - 1 - polyBlep(saw.phase, sawIncrement);
+                saw.phase = (saw.phase + sawIncrement) % 1;
+                
+                if (this.stereo) {
+                    sawLeft += value * saw.left;
+                    sawRight += value * saw.right;
+                } else {
+                    sawLeft += value * saw.gain;
+                }
+            }
+            
+            let square = this.squarePhase < 0.5 ? 1 : -1;
+            square += polyBlep(this.squarePhase, squareIncrement);
+            square -= polyBlep((this.squarePhase + 0.5) % 1, squareIncrement);
+            const sub = Math.sin(2 * Math.PI * this.subPhase);
+            
+            this.squarePhase = (this.squarePhase + squareIncrement) % 1;
+            this.subPhase = (this.subPhase + increment * 0.5) % 1;
+            
+            // Noise joins the centred square and sub ahead of the filter
+            const centre = square * 0.3 + sub * 0.3 + (this.noise ? this.noise.next() : 0);
+            const mix = sawLeft * 0.4 + (this.stereo ? centre * CENTRE : centre);
+            
+            // Filter envelope sweeps cutoff in cents, like BiquadFilterNode.detune in the node engine
+            const filterLevel = this.filterEnvelope.process();
+            
+            // Coefficients are refreshed every 16 samples to keep the per-voice cost down
+            if ((i & 15) === 0) {
+                const envelopeCents = filterLevel * this.filterAmount * 1200;
+                this.updateFilter(Math.min(
+                    sampleRate * 0.45,
+                    this.cutoff * Math.pow(2, (envelopeCents + this.modulation.cutoff) / 1200)
+                ));
+            }
+            
+            const filteredLeft = this.filters[0].process(mix, this.coefficients);
+            const filteredRight = this.stereo
+                ? this.filters[1].process(sawRight * 0.4 + centre * CENTRE, this.coefficients)
+                : 0;
+            
+            const amp = this.ampEnvelope.process() * gain;
+            const sampleLeft = filteredLeft * amp;
+            const sampleRight = filteredRight * amp;
+            for (let j = 0; j < 4; j++) {
+                matrix[j] += steps[j];
+            }
+            left[i] += sampleLeft * matrix[0] + sampleRight * matrix[1];
+            right[i] += sampleLeft * matrix[2] + sampleRight * matrix[3];
+        }
+        
+        return !this.ampEnvelope.finished;
+    }
+}
+
+class OilVoiceProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.voices = new Map();
+        this.pending = []; // Messages waiting for their time, in arrival order
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+    
+    // Timed messages wait, and so does anything for a voice whose noteOn is still waiting
+    handleMessage(message) {
+        if (message.type === 'allOff') {
+            this.pending = [];
+        } else if (message.time > currentTime ||
+            this.pending.some(waiting => waiting.type === 'noteOn' && waiting.id === message.id)) {
+            this.pending.push(message);
+            return;
+        }
+        this.applyMessage(message);
+    }
+    
+    applyPending() {
+        while (this.pending.length > 0 && !(this.pending[0].time > currentTime)) {
+            this.applyMessage(this.pending.shift());
+        }
+    }
+    
+    applyMessage(message) {
+        const voice = this.voices.get(message.id);
+        
+        switch (message.type) {
+            case 'noteOn': {
+                if (this.voices.size >= MAX_VOICES) {
+                    // Hard ceiling - the main thread allocator normally steals long before this
+                    const oldest = this.voices.keys().next().value;
+                    this.voices.delete(oldest);
+                    this.port.postMessage({ type: 'ended', id: oldest });
+                }
+                this.voices.set(message.id, new Voice(message));
+                break;
+            }
+            case 'update':
+                if (!voice) return;
+                if (message.glide !== undefined) voice.setGlide(message.glide);
+                if (message.frequency !== undefined) voice.targetFrequency = message.frequency;
+                if (message.cutoff !== undefined) voice.cutoff = message.cutoff;
+                if (message.q !== undefined) voice.q = message.q;
+                if (message.pan !== undefined) voice.setPan(message.pan);
+                if (message.noiseLevel !== undefined && voice.noise) voice.noise.level = message.noiseLevel;
+                break;
+            case 'modulate':
+                if (!voice) return;
+                Object.assign(voice.modulation, message.offsets);
+                break;
+            case 'retrigger':
+                if (!voice) return;
+                voice.ampEnvelope.retrigger();
+                voice.filterEnvelope.retrigger();
+                if (voice.noise) voice.noise.envelope.retrigger();
+                break;
+            case 'noteOff':
+                if (!voice) return;
+                voice.ampEnvelope.release(message.release);
+                voice.filterEnvelope.release(message.release);
+                if (voice.noise) voice.noise.envelope.release(message.release);
+                break;
+            case 'allOff':
+                this.voices.forEach(v => {
+                    v.ampEnvelope.release();
+                    v.filterEnvelope.release();
+                    if (v.noise) v.noise.envelope.release();
+                });
+                break;
+        }
+    }
+    
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+        
+        this.applyPending();
+        this.voices.forEach((voice, id) => {
+            if (!voice.render(left, right)) {
+                this.voices.delete(id);
+                this.port.postMessage({ type: 'ended', id });
+            }
+        });
+        
+        // Keep the processor alive even when silent
+        return true;
+    }
+}
+
+registerProcessor('oil-voice-processor', OilVoiceProcessor);
\ No newline at end of file
@@ -0,0 +1,211 @@
+import { getEffectTypes } from '../audio/effects/registry.js';
+import { DISTORTION_CHARACTERS } from '../audio/effects/distortion.js';
+import { DELAY_MODES } from '../audio/effects/delay.js';
+
+// Display names for switch-style parameter values
+const OPTION_LABELS = {
+    character: DISTORTION_CHARACTERS,
+    mode: DELAY_MODES
+};
+
+export class EffectsPanel {
+    constructor(effectsChain) {
+        this.chain = effectsChain;
+        
+        // DOM elements
+        this.effectList = document.getElementById('effect-list');
+        this.typeSelect = document.getElementById('effect-type');
+        this.addEffectBtn = document.getElementById('effect-add');
+        
+        this.isInitialized = false;
+        
+        // Bind event handlers
+        this.onAddEffect = this.onAddEffect.bind(this);
+        this.onEffectChange = this.onEffectChange.bind(this);
+        this.onParamInput = this.onParamInput.bind(this);
+        this.onEffectClick = this.onEffectClick.bind(this);
+    }
+    
+    async initialize() {
+        if (this.isInitialized) return;
+        
+        try {
+            this.populateTypeOptions();
+            this.renderEffects();
+            this.setupEventListeners();
+            
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize effects panel:', error);
+        }
+    }
+    
+    setupEventListeners() {
+        this.addEffectBtn.addEventListener('click', this.onAddEffect);
+        
+        // Delegated, since rows are re-rendered
+        this.effectList.addEventListener('change', this.onEffectChange);
+        this.effectList.addEventListener('input', this.onParamInput);
+        this.effectList.addEventListener('click', this.onEffectClick);
+    }
+    
+    populateTypeOptions() {
+        this.typeSelect.innerHTML = '';
+        getEffectTypes().forEach(({ type, name }) => {
+            this.typeSelect.appendChild(new Option(name.toUpperCase(), type));
+        });
+    }
+    
+    createButton(action, text) {
+        const button = document.createElement('button');
+        button.className = 'settings-btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        return button;
+    }
+    
+    renderEffects() {
+        this.effectList.innerHTML = '';
+        
+        const modules = this.chain.getModules();
+        modules.forEach((effect, index) => {
+            const row = document.createElement('div');
+            row.className = 'settings-row compact';
+            row.dataset.effect = effect.id;
+            
+            const label = document.createElement('label');
+            label.textContent = effect.name.toUpperCase();
+            
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = !effect.bypassed;
+            enabled.dataset.field = 'enabled';
+            enabled.title = 'Enabled';
+            
+            const up = this.createButton('up', '↑');
+            up.disabled = index === 0;
+            const down = this.createButton('down', '↓');
+            down.disabled = index === modules.length - 1;
+            
+            row.append(label, enabled, up, down, this.createButton('remove', '×'));
+            this.effectList.appendChild(row);
+            
+            Object.entries(effect.params).forEach(([name, param]) => {
+                this.effectList.appendChild(this.createParamRow(effect.id, name, param));
+            });
+            
+            if (effect.acceptsFile) {
+                this.effectList.appendChild(this.createFileRow(effect));
+            }
+        });
+    }
+    
+    // File picker for effects that load audio, e.g. reverb impulse responses
+    createFileRow(effect) {
+        const row = document.createElement('div');
+        row.className = 'settings-row compact effect-param';
+        row.dataset.effect = effect.id;
+        
+        const label = document.createElement('label');
+        label.textContent = effect.fileName ? effect.fileName.toUpperCase() : '.WAV';
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.wav,audio/wav';
+        input.dataset.field = 'file';
+        
+        row.append(label, input);
+        return row;
+    }
+    
+    createParamRow(effectId, name, param) {
+        const row = document.createElement('div');
+        row.className = 'settings-row compact effect-param';
+        row.dataset.effect = effectId;
+        
+        const label = document.createElement('label');
+        label.textContent = name.toUpperCase();
+        
+        let control;
+        if (param.options) {
+            control = document.createElement('select');
+            const labels = OPTION_LABELS[name] || {};
+            param.options.forEach(option => {
+                control.appendChild(new Option((labels[option] || option).toUpperCase(), option));
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = 'range';
+            control.min = param.min;
+            control.max = param.max;
+            control.step = param.step;
+        }
+        control.value = param.value;
+        control.dataset.param = name;
+        
+        row.append(label, control);
+        return row;
+    }
+    
+    onAddEffect() {
+        this.chain.add(this.typeSelect.value);
+        this.renderEffects();
+    }
+    
+    onEffectChange(event) {
+        const row = event.target.closest('[data-effect]');
+        if (!row) return;
+        
+        if (event.target.dataset.field === 'enabled') {
+            this.chain.setBypass(row.dataset.effect, !event.target.checked);
+        } else if (event.target.dataset.field === 'file') {
+            this.loadEffectFile(row.dataset.effect, event.target);
+        }
+    }
+    
+    async loadEffectFile(effectId, input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        
+        const loaded = await this.chain.loadFile(effectId, await file.arrayBuffer(), file.name.replace(/\.wav$/i, ''));
+        if (loaded) {
+            this.renderEffects();
+        }
+    }
+    
+    onParamInput(event) {
+        const row = event.target.closest('[data-effect]');
+        const { param } = event.target.dataset;
+        if (!row || !param) return;
+        
+        const value = event.target.type === 'range' ? Number(event.target.value) : event.target.value;
+        this.chain.setParam(row.dataset.effect, param, value);
+    }
+    
+    onEffectClick(event) {
+        const { action } = event.target.dataset;
+        const row = event.target.closest('[data-effect]');
+        if (!action || !row) return;
+        
+        const id = row.dataset.effect;
+        const index = this.chain.getOrder().indexOf(id);
+        
+        if (action === 'up') {
+            this.chain.move(id, index - 1);
+        } else if (action === 'down') {
+            this.chain.move(id, index + 1);
+        } else if (action === 'remove') {
+            this.chain.remove(id);
+        }
+        this.renderEffects();
+    }
+    
+    destroy() {
+        this.addEffectBtn.removeEventListener('click', this.onAddEffect);
+        this.effectList.removeEventListener('change', this.onEffectChange);
+        this.effectList.removeEventListener('input', this.onParamInput);
+        this.effectList.removeEventListener('click', this.onEffectClick);
+        
+        this.isInitialized = false;
+    }
+}
\ No newline at end of file
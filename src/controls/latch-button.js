@@ -0,0 +1,97 @@
+// HOLD button on the oil surface - tap to toggle latch mode, press and hold to release every drone
+const LONG_PRESS = 600; // ms
+
+export class LatchButton {
+    constructor(latch) {
+        this.latch = latch;
+        
+        // DOM elements
+        this.button = document.getElementById('latch-toggle');
+        
+        this.isInitialized = false;
+        this.pressTimer = null;
+        this.longPressed = false;
+        this.unsubscribe = null;
+        
+        // Bind event handlers
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        this.onLatchChange = this.onLatchChange.bind(this);
+    }
+    
+    async initialize() {
+        if (this.isInitialized) return;
+        
+        try {
+            this.setupEventListeners();
+            this.unsubscribe = this.latch.subscribe(this.onLatchChange);
+            
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize latch button:', error);
+        }
+    }
+    
+    setupEventListeners() {
+        this.button.addEventListener('pointerdown', this.onPointerDown);
+        this.button.addEventListener('pointerup', this.onPointerUp);
+        this.button.addEventListener('pointerleave', this.onPointerCancel);
+        this.button.addEventListener('pointercancel', this.onPointerCancel);
+    }
+    
+    onPointerDown(event) {
+        event.preventDefault();
+        this.longPressed = false;
+        this.pressTimer = setTimeout(() => {
+            this.pressTimer = null;
+            this.longPressed = true;
+            this.latch.releaseAll();
+            
+            if (navigator.vibrate) {
+                navigator.vibrate(20);
+            }
+        }, LONG_PRESS);
+    }
+    
+    onPointerUp() {
+        if (!this.pressTimer) return;
+        
+        this.onPointerCancel();
+        if (!this.longPressed) {
+            this.latch.setEnabled(!this.latch.isEnabled());
+            this.updateUI();
+        }
+    }
+    
+    onPointerCancel() {
+        if (this.pressTimer) {
+            clearTimeout(this.pressTimer);
+            this.pressTimer = null;
+        }
+    }
+    
+    onLatchChange() {
+        this.updateUI();
+    }
+    
+    updateUI() {
+        const { length } = this.latch.getDrones();
+        this.button.setAttribute('aria-pressed', String(this.latch.isEnabled()));
+        this.button.dataset.count = length > 0 ? String(length) : '';
+    }
+    
+    destroy() {
+        this.onPointerCancel();
+        this.button.removeEventListener('pointerdown', this.onPointerDown);
+        this.button.removeEventListener('pointerup', this.onPointerUp);
+        this.button.removeEventListener('pointerleave', this.onPointerCancel);
+        this.button.removeEventListener('pointercancel', this.onPointerCancel);
+        
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.isInitialized = false;
+    }
+}
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { WAV_FORMATS } from '../utils/wav-encoder.js';
+import { COUNT_IN_BARS } from '../audio/loop-controller.js';
+
 export class LoopControls {
     constructor(loopController) {
         this.loopController = loopController;
@@ -7,8 +10,19 @@ export class LoopControls {
         this.playBtn = document.getElementById('loop-play');
         this.volumeKnob = document.getElementById('loop-volume');
         this.clearBtn = document.getElementById('loop-clear');
+        this.undoBtn = document.getElementById('loop-undo');
+        this.redoBtn = document.getElementById('loop-redo');
         this.progressIndicator = document.querySelector('.loop-progress-indicator');
         this.progressBar = this.progressIndicator.querySelector('.progress-bar');
+        this.layerList = document.getElementById('loop-layers');
+        this.formatSelect = document.getElementById('loop-format');
+        this.exportBtn = document.getElementById('loop-export');
+        this.importInput = document.getElementById('loop-import');
+        this.quantizeToggle = document.getElementById('loop-quantize');
+        this.countInSelect = document.getElementById('loop-count-in');
+        this.metronomeToggle = document.getElementById('metronome-enabled');
+        this.metronomeVolumeInput = document.getElementById('metronome-volume');
+        this.metronomeMuteToggle = document.getElementById('metronome-muted');
         
         // Volume knob interaction
         this.isDraggingVolume = false;
@@ -18,15 +32,33 @@ export class LoopControls {
         
         // State
         this.isInitialized = false;
+        this.renderedLayers = ''; // Layer ids and mute/solo flags the list was last rendered with
         
         // Animation
         this.animationId = null;
+        
+        // Bind event handlers
+        this.onUndo = this.onUndo.bind(this);
+        this.onRedo = this.onRedo.bind(this);
+        this.onLayerInput = this.onLayerInput.bind(this);
+        this.onLayerClick = this.onLayerClick.bind(this);
+        this.onExport = this.onExport.bind(this);
+        this.onImport = this.onImport.bind(this);
+        this.onQuantizeChange = this.onQuantizeChange.bind(this);
+        this.onMetronomeChange = this.onMetronomeChange.bind(this);
     }
     
     async initialize() {
         if (this.isInitialized) return;
         
         try {
+            Object.entries(WAV_FORMATS).forEach(([key, name]) => {
+                this.formatSelect.appendChild(new Option(name, key));
+            });
+            Object.entries(COUNT_IN_BARS).forEach(([key, name]) => {
+                this.countInSelect.appendChild(new Option(name, key));
+            });
+            this.updateSettingsUI();
             this.setupEventListeners();
             this.updateUI();
             this.startAnimation();
@@ -59,6 +91,12 @@ export class LoopControls {
             this.handleClear();
         });
         
+        // Undo/redo buttons - playback keeps running
+        this.undoBtn.addEventListener('click', this.onUndo);
+        this.undoBtn.addEventListener('touchstart', this.onUndo);
+        this.redoBtn.addEventListener('click', this.onRedo);
+        this.redoBtn.addEventListener('touchstart', this.onRedo);
+        
         // Volume knob - mouse events
         this.volumeKnob.addEventListener('mousedown', (e) => this.startVolumeInteraction(e));
         document.addEventListener('mousemove', (e) => this.handleVolumeMove(e));
@@ -78,6 +116,21 @@ export class LoopControls {
         }, { passive: false });
         
         document.addEventListener('touchend', () => this.endVolumeInteraction());
+        
+        // Layer rows - delegated, since rows are re-rendered
+        this.layerList.addEventListener('input', this.onLayerInput);
+        this.layerList.addEventListener('click', this.onLayerClick);
+        
+        // Loop files, in the settings panel
+        this.exportBtn.addEventListener('click', this.onExport);
+        this.importInput.addEventListener('change', this.onImport);
+        
+        // Quantize and metronome, in the settings panel
+        this.quantizeToggle.addEventListener('change', this.onQuantizeChange);
+        this.countInSelect.addEventListener('change', this.onQuantizeChange);
+        this.metronomeToggle.addEventListener('change', this.onMetronomeChange);
+        this.metronomeVolumeInput.addEventListener('input', this.onMetronomeChange);
+        this.metronomeMuteToggle.addEventListener('change', this.onMetronomeChange);
     }
     
     async handleRecord() {
@@ -110,6 +163,151 @@ export class LoopControls {
         this.updateUI();
     }
     
+    // Touches skip the click that would follow, so a tap steps once
+    onUndo(event) {
+        if (event.type === 'touchstart') {
+            event.preventDefault();
+        }
+        this.loopController.undo();
+        this.updateUI();
+    }
+    
+    onRedo(event) {
+        if (event.type === 'touchstart') {
+            event.preventDefault();
+        }
+        this.loopController.redo();
+        this.updateUI();
+    }
+    
+    onLayerInput(event) {
+        const row = event.target.closest('[data-layer]');
+        if (!row || event.target.dataset.field !== 'volume') return;
+        
+        this.loopController.setLayerVolume(Number(row.dataset.layer), Number(event.target.value));
+    }
+    
+    onLayerClick(event) {
+        const button = event.target.closest('[data-action]');
+        const row = event.target.closest('[data-layer]');
+        if (!button || !row) return;
+        
+        const id = Number(row.dataset.layer);
+        const layer = this.loopController.getLayers().find(l => l.id === id);
+        if (!layer) return;
+        
+        switch (button.dataset.action) {
+            case 'mute':
+                this.loopController.setLayerMuted(id, !layer.muted);
+                break;
+            case 'solo':
+                this.loopController.setLayerSoloed(id, !layer.soloed);
+                break;
+            case 'export':
+                this.download(this.loopController.exportLayer(id, this.formatSelect.value), `oil-loop-layer-${row.dataset.index}.wav`);
+                break;
+            case 'delete':
+                this.loopController.removeLayer(id);
+                break;
+        }
+        this.updateUI();
+    }
+    
+    renderLayers(layers) {
+        this.layerList.innerHTML = '';
+        
+        layers.forEach((layer, index) => {
+            const row = document.createElement('div');
+            row.className = 'loop-layer';
+            row.dataset.layer = layer.id;
+            row.dataset.index = index + 1;
+            
+            const label = document.createElement('span');
+            label.className = 'loop-layer-label';
+            label.textContent = `L${index + 1}`;
+            
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.min = 0;
+            volume.max = 1;
+            volume.step = 0.01;
+            volume.value = layer.volume;
+            volume.dataset.field = 'volume';
+            
+            row.append(
+                label,
+                volume,
+                this.createLayerButton('mute', 'M', layer.muted),
+                this.createLayerButton('solo', 'S', layer.soloed),
+                this.createLayerButton('export', '↓'),
+                this.createLayerButton('delete', '×')
+            );
+            this.layerList.appendChild(row);
+        });
+    }
+    
+    createLayerButton(action, text, pressed) {
+        const button = document.createElement('button');
+        button.className = 'loop-layer-btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        if (pressed !== undefined) {
+            button.setAttribute('aria-pressed', String(pressed));
+        }
+        return button;
+    }
+    
+    onExport() {
+        this.download(this.loopController.exportLoop(this.formatSelect.value), 'oil-loop.wav');
+    }
+    
+    async onImport() {
+        const file = this.importInput.files && this.importInput.files[0];
+        if (!file) return;
+        
+        await this.loopController.importLoop(await file.arrayBuffer());
+        this.importInput.value = '';
+        this.updateUI();
+    }
+    
+    onQuantizeChange() {
+        this.loopController.setQuantize({
+            enabled: this.quantizeToggle.checked,
+            countInBars: this.countInSelect.value
+        });
+    }
+    
+    onMetronomeChange() {
+        const metronome = this.loopController.getMetronome();
+        metronome.setEnabled(this.metronomeToggle.checked);
+        metronome.setVolume(Number(this.metronomeVolumeInput.value));
+        metronome.setMuted(this.metronomeMuteToggle.checked);
+    }
+    
+    updateSettingsUI() {
+        const quantize = this.loopController.getQuantizeSettings();
+        this.quantizeToggle.checked = quantize.enabled;
+        this.countInSelect.value = String(quantize.countInBars);
+        
+        const metronome = this.loopController.getMetronome().getSettings();
+        this.metronomeToggle.checked = metronome.enabled;
+        this.metronomeVolumeInput.value = metronome.volume;
+        this.metronomeMuteToggle.checked = metronome.muted;
+    }
+    
+    download(blob, filename) {
+        if (!blob) return;
+        
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        // Give the download a moment to start before the URL goes
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
     startVolumeInteraction(event) {
         this.isDraggingVolume = true;
         this.volumeStartY = event.clientY;
@@ -147,8 +345,9 @@ export class LoopControls {
     updateUI() {
         const state = this.loopController.getState();
         
-        // Update record button
-        this.recordBtn.setAttribute('data-state', state.isRecording ? 'recording' : 'idle');
+        // Update record button - armed while a quantized take counts in, still recording while a stopped take finishes
+        const recordState = state.isCountingIn ? 'armed' : state.isRecording || state.isFinishing ? 'recording' : 'idle';
+        this.recordBtn.setAttribute('data-state', recordState);
         
         // Update play button
         this.playBtn.setAttribute('data-state', state.isPlaying ? 'playing' : 'stopped');
@@ -160,14 +359,29 @@ export class LoopControls {
         }
         
         // Update button availability
-        this.playBtn.disabled = !state.hasLoop;
-        this.playBtn.style.opacity = state.hasLoop ? '1' : '0.5';
+        const canPlay = state.hasLoop && !state.isFinishing;
+        this.playBtn.disabled = !canPlay;
+        this.playBtn.style.opacity = canPlay ? '1' : '0.5';
         
         this.clearBtn.disabled = !state.hasLoop;
         this.clearBtn.style.opacity = state.hasLoop ? '1' : '0.5';
+        this.exportBtn.disabled = !state.hasLoop;
+        this.importInput.disabled = state.isRecording || state.isFinishing;
+        
+        const takeRunning = state.isRecording || state.isFinishing;
+        this.undoBtn.disabled = !state.canUndo || takeRunning;
+        this.redoBtn.disabled = !state.canRedo || takeRunning;
         
         // Update volume knob
         this.updateVolumeKnob(state.volume);
+        
+        // Re-render the layer list only when layers or their flags change, so sliders keep their drag
+        const layers = this.loopController.getLayers();
+        const rendered = layers.map(layer => `${layer.id}:${layer.muted}:${layer.soloed}`).join(',');
+        if (rendered !== this.renderedLayers) {
+            this.renderedLayers = rendered;
+            this.renderLayers(layers);
+        }
     }
     
     updateProgressCircle(position) {
@@ -202,12 +416,30 @@ export class LoopControls {
         this.recordBtn.removeEventListener('click', () => this.handleRecord());
         this.playBtn.removeEventListener('click', () => this.handlePlayPause());
         this.clearBtn.removeEventListener('click', () => this.handleClear());
+        this.undoBtn.removeEventListener('click', this.onUndo);
+        this.undoBtn.removeEventListener('touchstart', this.onUndo);
+        this.redoBtn.removeEventListener('click', this.onRedo);
+        this.redoBtn.removeEventListener('touchstart', this.onRedo);
         
         // Remove volume knob listeners
         this.volumeKnob.removeEventListener('mousedown', () => this.startVolumeInteraction());
         document.removeEventListener('mousemove', () => this.handleVolumeMove());
         document.removeEventListener('mouseup', () => this.endVolumeInteraction());
         
+        this.layerList.removeEventListener('input', this.onLayerInput);
+        this.layerList.removeEventListener('click', this.onLayerClick);
+        this.exportBtn.removeEventListener('click', this.onExport);
+        this.importInput.removeEventListener('change', this.onImport);
+        this.quantizeToggle.removeEventListener('change', this.onQuantizeChange);
+        this.countInSelect.removeEventListener('change', this.onQuantizeChange);
+        this.metronomeToggle.removeEventListener('change', this.onMetronomeChange);
+        this.metronomeVolumeInput.removeEventListener('input', this.onMetronomeChange);
+        this.metronomeMuteToggle.removeEventListener('change', this.onMetronomeChange);
+        this.formatSelect.innerHTML = '';
+        this.countInSelect.innerHTML = '';
+        this.layerList.innerHTML = '';
+        this.renderedLayers = '';
+        
         this.isInitialized = false;
     }
 }
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Output meter for the master bus - peak and RMS bars per channel and a clip light (tap to reset)
+const METER_FLOOR = -48; // dB at the bottom of the bars
+const PEAK_FALLOFF = 0.92; // Per frame, so peaks drop smoothly instead of flickering
+
+export class MasterMeter {
+    constructor(masterBus) {
+        this.masterBus = masterBus;
+        
+        // DOM elements
+        this.container = document.getElementById('master-meter');
+        this.peakBars = Array.from(this.container.querySelectorAll('.meter-peak'));
+        this.rmsBars = Array.from(this.container.querySelectorAll('.meter-rms'));
+        this.clipLight = document.getElementById('meter-clip');
+        
+        this.displayPeaks = [0, 0];
+        this.isInitialized = false;
+        this.animationId = null;
+        
+        // Bind event handlers
+        this.onClipClick = this.onClipClick.bind(this);
+    }
+    
+    async initialize() {
+        if (this.isInitialized || !this.masterBus || !this.masterBus.isInitialized) return;
+        
+        try {
+            this.setupEventListeners();
+            this.startAnimation();
+            
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize master meter:', error);
+        }
+    }
+    
+    setupEventListeners() {
+        this.clipLight.addEventListener('click', this.onClipClick);
+    }
+    
+    // Linear level to 0-1 bar height on a dB scale
+    levelToHeight(level) {
+        if (level <= 0) return 0;
+        const db = 20 * Math.log10(level);
+        return Math.max(0, Math.min(1, (db - METER_FLOOR) / -METER_FLOOR));
+    }
+    
+    updateUI() {
+        const meter = this.masterBus.getMeter();
+        
+        meter.peak.forEach((peak, channel) => {
+            this.displayPeaks[channel] = Math.max(peak, this.displayPeaks[channel] * PEAK_FALLOFF);
+            this.peakBars[channel].style.transform = `scaleY(${this.levelToHeight(this.displayPeaks[channel])})`;
+        });
+        meter.rms.forEach((rms, channel) => {
+            this.rmsBars[channel].style.transform = `scaleY(${this.levelToHeight(rms)})`;
+        });
+        
+        this.clipLight.setAttribute('data-state', meter.clip ? 'clip' : 'ok');
+        this.container.title = `Comp ${meter.compressorReduction.toFixed(1)} dB, limit ${meter.limiterReduction.toFixed(1)} dB`;
+    }
+    
+    startAnimation() {
+        const animate = () => {
+            this.updateUI();
+            this.animationId = requestAnimationFrame(animate);
+        };
+        
+        animate();
+    }
+    
+    onClipClick() {
+        this.masterBus.resetClip();
+    }
+    
+    destroy() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.clipLight.removeEventListener('click', this.onClipClick);
+        this.isInitialized = false;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { LFO_SHAPES, LFO_SYNC_DIVISIONS, MOD_SOURCES, MOD_DESTINATIONS } from '../audio/modulation-matrix.js';
+
+export class ModulationPanel {
+    constructor(modulationMatrix) {
+        this.matrix = modulationMatrix;
+        
+        // DOM elements
+        this.lfoList = document.getElementById('lfo-list');
+        this.routeList = document.getElementById('route-list');
+        this.addRouteBtn = document.getElementById('route-add');
+        
+        this.isInitialized = false;
+        
+        // Bind event handlers
+        this.onAddRoute = this.onAddRoute.bind(this);
+        this.onLfoInput = this.onLfoInput.bind(this);
+        this.onRouteInput = this.onRouteInput.bind(this);
+        this.onRouteClick = this.onRouteClick.bind(this);
+    }
+    
+    async initialize() {
+        if (this.isInitialized) return;
+        
+        try {
+            this.renderLfos();
+            this.renderRoutes();
+            this.setupEventListeners();
+            
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize modulation panel:', error);
+        }
+    }
+    
+    setupEventListeners() {
+        this.addRouteBtn.addEventListener('click', this.onAddRoute);
+        
+        // Delegated, since rows are re-rendered
+        this.lfoList.addEventListener('input', this.onLfoInput);
+        this.lfoList.addEventListener('change', this.onLfoInput);
+        this.routeList.addEventListener('input', this.onRouteInput);
+        this.routeList.addEventListener('change', this.onRouteInput);
+        this.routeList.addEventListener('click', this.onRouteClick);
+    }
+    
+    createSelect(options, value, field) {
+        const select = document.createElement('select');
+        select.dataset.field = field;
+        Object.entries(options).forEach(([key, label]) => {
+            select.appendChild(new Option(label, key));
+        });
+        select.value = value;
+        return select;
+    }
+    
+    createRange(min, max, step, value, field) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        input.dataset.field = field;
+        return input;
+    }
+    
+    renderLfos() {
+        this.lfoList.innerHTML = '';
+        
+        const shapes = Object.fromEntries(LFO_SHAPES.map(shape => [shape, shape.toUpperCase()]));
+        const syncs = { free: 'FREE', ...Object.fromEntries(Object.keys(LFO_SYNC_DIVISIONS).map(key => [key, key])) };
+        
+        this.matrix.getLfos().forEach((lfo, index) => {
+            const row = document.createElement('div');
+            row.className = 'settings-row compact';
+            row.dataset.lfo = index;
+            
+            const label = document.createElement('label');
+            label.textContent = `LFO ${index + 1}`;
+            
+            row.append(
+                label,
+                this.createSelect(shapes, lfo.shape, 'shape'),
+                this.createRange(0.05, 20, 0.05, lfo.rate, 'rate'),
+                this.createSelect(syncs, lfo.sync || 'free', 'sync')
+            );
+            this.lfoList.appendChild(row);
+        });
+    }
+    
+    renderRoutes() {
+        this.routeList.innerHTML = '';
+        
+        const destinations = Object.fromEntries(
+            Object.entries(MOD_DESTINATIONS).map(([key, destination]) => [key, destination.name])
+        );
+        
+        this.matrix.getRoutes().forEach(route => {
+            const row = document.createElement('div');
+            row.className = 'settings-row compact';
+            row.dataset.route = route.id;
+            
+            const remove = document.createElement('button');
+            remove.className = 'settings-btn';
+            remove.dataset.action = 'remove';
+            remove.textContent = '×';
+            
+            row.append(
+                this.createSelect(MOD_SOURCES, route.source, 'source'),
+                this.createSelect(destinations, route.destination, 'destination'),
+                this.createRange(-1, 1, 0.01, route.amount, 'amount'),
+                remove
+            );
+            this.routeList.appendChild(row);
+        });
+    }
+    
+    onAddRoute() {
+        this.matrix.addRoute('lfo1', 'pitch', 0.1);
+        this.renderRoutes();
+    }
+    
+    onLfoInput(event) {
+        const row = event.target.closest('[data-lfo]');
+        if (!row) return;
+        
+        const { field } = event.target.dataset;
+        const value = field === 'rate' ? Number(event.target.value) : event.target.value;
+        this.matrix.setLfo(Number(row.dataset.lfo), { [field]: field === 'sync' && value === 'free' ? null : value });
+    }
+    
+    onRouteInput(event) {
+        const row = event.target.closest('[data-route]');
+        if (!row) return;
+        
+        const { field } = event.target.dataset;
+        const value = field === 'amount' ? Number(event.target.value) : event.target.value;
+        this.matrix.updateRoute(Number(row.dataset.route), { [field]: value });
+    }
+    
+    onRouteClick(event) {
+        if (event.target.dataset.action !== 'remove') return;
+        
+        const row = event.target.closest('[data-route]');
+        this.matrix.removeRoute(Number(row.dataset.route));
+        this.renderRoutes();
+    }
+    
+    destroy() {
+        this.addRouteBtn.removeEventListener('click', this.onAddRoute);
+        this.lfoList.removeEventListener('input', this.onLfoInput);
+        this.lfoList.removeEventListener('change', this.onLfoInput);
+        this.routeList.removeEventListener('input', this.onRouteInput);
+        this.routeList.removeEventListener('change', this.onRouteInput);
+        this.routeList.removeEventListener('click', this.onRouteClick);
+        
+        this.isInitialized = false;
+    }
+}
\ No newline at end of file
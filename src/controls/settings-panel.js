@@ -0,0 +1,558 @@
+import { SCALES, NOTE_NAMES } from '../audio/scales.js';
+import { PATCHES } from '../audio/patches.js';
+import { TIME_SIGNATURES, NOTE_DIVISIONS } from '../audio/transport-clock.js';
+import { STEAL_STRATEGIES } from '../audio/voice-allocator.js';
+import { CHORD_TYPES } from '../audio/chords.js';
+import { FILTER_TYPES, Y_MAPPINGS } from '../audio/voice-filter.js';
+import { NOISE_TYPES } from '../audio/noise.js';
+import { ARP_PATTERNS } from '../audio/arpeggiator.js';
+
+export class SettingsPanel {
+    constructor(synthesizer) {
+        this.synthesizer = synthesizer;
+        
+        // DOM elements
+        this.toggleBtn = document.getElementById('settings-toggle');
+        this.panel = document.getElementById('settings-panel');
+        this.rootSelect = document.getElementById('root-select');
+        this.scaleSelect = document.getElementById('scale-select');
+        this.customScaleInput = document.getElementById('custom-scale');
+        this.referencePitchInput = document.getElementById('reference-pitch');
+        this.sclFileInput = document.getElementById('scl-file');
+        this.kbmFileInput = document.getElementById('kbm-file');
+        this.tuningStatus = document.getElementById('tuning-status');
+        this.tuningResetBtn = document.getElementById('tuning-reset');
+        this.quantizeInput = document.getElementById('glide-quantize');
+        this.portamentoInput = document.getElementById('glide-portamento');
+        this.tempoInput = document.getElementById('tempo-bpm');
+        this.tapTempoBtn = document.getElementById('tempo-tap');
+        this.timeSignatureSelect = document.getElementById('time-signature');
+        this.stereoWidthInput = document.getElementById('stereo-width');
+        this.compressorToggle = document.getElementById('master-comp');
+        this.glueInput = document.getElementById('master-glue');
+        this.ceilingInput = document.getElementById('master-ceiling');
+        this.patchSelect = document.getElementById('patch-select');
+        this.voiceModeSelect = document.getElementById('voice-mode');
+        this.voiceStealingSelect = document.getElementById('voice-stealing');
+        this.chordSelect = document.getElementById('voice-chord');
+        this.latchMaxInput = document.getElementById('latch-max');
+        this.latchReleaseBtn = document.getElementById('latch-release');
+        this.arpToggle = document.getElementById('arp-enabled');
+        this.arpPatternSelect = document.getElementById('arp-pattern');
+        this.arpOctavesInput = document.getElementById('arp-octaves');
+        this.arpGateInput = document.getElementById('arp-gate');
+        this.arpSyncSelect = document.getElementById('arp-sync');
+        this.arpRateInput = document.getElementById('arp-rate');
+        this.oscModeSelect = document.getElementById('osc-mode');
+        this.oscTableSelect = document.getElementById('osc-table');
+        this.oscMorphInput = document.getElementById('osc-morph');
+        this.oscMorphSourceSelect = document.getElementById('osc-morph-source');
+        this.wavetableFileInput = document.getElementById('wavetable-file');
+        this.envelopeInputs = Array.from(this.panel.querySelectorAll('input[data-envelope]'));
+        this.unisonInputs = Array.from(this.panel.querySelectorAll('input[data-unison]'));
+        this.filterTypeSelect = document.getElementById('filter-type');
+        this.filterSlopeSelect = document.getElementById('filter-slope');
+        this.filterCutoffInput = document.getElementById('filter-cutoff');
+        this.filterResonanceInput = document.getElementById('filter-resonance');
+        this.filterKeyTrackingInput = document.getElementById('filter-key-tracking');
+        this.filterYMappingSelect = document.getElementById('filter-y-mapping');
+        this.noiseTypeSelect = document.getElementById('noise-type');
+        this.noiseInputs = Array.from(this.panel.querySelectorAll('[data-noise]'));
+        
+        // State
+        this.isOpen = false;
+        this.isInitialized = false;
+        this.unsubscribeClock = null;
+        
+        // Bind event handlers
+        this.onToggle = this.onToggle.bind(this);
+        this.onRootChange = this.onRootChange.bind(this);
+        this.onScaleChange = this.onScaleChange.bind(this);
+        this.onCustomScaleChange = this.onCustomScaleChange.bind(this);
+        this.onReferencePitchChange = this.onReferencePitchChange.bind(this);
+        this.onSclFileChange = this.onSclFileChange.bind(this);
+        this.onKbmFileChange = this.onKbmFileChange.bind(this);
+        this.onTuningReset = this.onTuningReset.bind(this);
+        this.onQuantizeChange = this.onQuantizeChange.bind(this);
+        this.onPortamentoChange = this.onPortamentoChange.bind(this);
+        this.onTempoChange = this.onTempoChange.bind(this);
+        this.onTapTempo = this.onTapTempo.bind(this);
+        this.onTimeSignatureChange = this.onTimeSignatureChange.bind(this);
+        this.onClockChange = this.onClockChange.bind(this);
+        this.onStereoWidthChange = this.onStereoWidthChange.bind(this);
+        this.onMasterChange = this.onMasterChange.bind(this);
+        this.onPatchChange = this.onPatchChange.bind(this);
+        this.onVoiceModeChange = this.onVoiceModeChange.bind(this);
+        this.onVoiceStealingChange = this.onVoiceStealingChange.bind(this);
+        this.onChordChange = this.onChordChange.bind(this);
+        this.onLatchMaxChange = this.onLatchMaxChange.bind(this);
+        this.onLatchRelease = this.onLatchRelease.bind(this);
+        this.onArpChange = this.onArpChange.bind(this);
+        this.onEnvelopeChange = this.onEnvelopeChange.bind(this);
+        this.onOscillatorChange = this.onOscillatorChange.bind(this);
+        this.onUnisonChange = this.onUnisonChange.bind(this);
+        this.onFilterChange = this.onFilterChange.bind(this);
+        this.onNoiseChange = this.onNoiseChange.bind(this);
+        this.onWavetableFileChange = this.onWavetableFileChange.bind(this);
+    }
+    
+    async initialize() {
+        if (this.isInitialized) return;
+        
+        try {
+            this.populateScaleOptions();
+            this.setupEventListeners();
+            this.updateUI();
+            
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize settings panel:', error);
+        }
+    }
+    
+    populateScaleOptions() {
+        NOTE_NAMES.forEach((name, index) => {
+            this.rootSelect.appendChild(new Option(name, index));
+        });
+        
+        Object.entries(SCALES).forEach(([key, scale]) => {
+            this.scaleSelect.appendChild(new Option(scale.name, key));
+        });
+        this.scaleSelect.appendChild(new Option('Custom', 'custom'));
+        
+        Object.entries(PATCHES).forEach(([key, patch]) => {
+            this.patchSelect.appendChild(new Option(patch.name, key));
+        });
+        this.patchSelect.appendChild(new Option('Custom', 'custom'));
+        
+        Object.entries(STEAL_STRATEGIES).forEach(([key, name]) => {
+            this.voiceStealingSelect.appendChild(new Option(name, key));
+        });
+        Object.entries(CHORD_TYPES).forEach(([key, name]) => {
+            this.chordSelect.appendChild(new Option(name, key));
+        });
+        
+        Object.entries(ARP_PATTERNS).forEach(([key, name]) => {
+            this.arpPatternSelect.appendChild(new Option(name, key));
+        });
+        this.arpSyncSelect.appendChild(new Option('FREE', 'free'));
+        Object.keys(NOTE_DIVISIONS).forEach(division => {
+            this.arpSyncSelect.appendChild(new Option(division, division));
+        });
+        
+        Object.entries(FILTER_TYPES).forEach(([key, name]) => {
+            this.filterTypeSelect.appendChild(new Option(name, key));
+        });
+        Object.entries(Y_MAPPINGS).forEach(([key, name]) => {
+            this.filterYMappingSelect.appendChild(new Option(name, key));
+        });
+        Object.entries(NOISE_TYPES).forEach(([key, name]) => {
+            this.noiseTypeSelect.appendChild(new Option(name, key));
+        });
+        
+        TIME_SIGNATURES.forEach(signature => {
+            this.timeSignatureSelect.appendChild(new Option(signature, signature));
+        });
+        
+        this.populateWavetableOptions();
+    }
+    
+    populateWavetableOptions() {
+        this.oscTableSelect.innerHTML = '';
+        this.synthesizer.getWavetables().forEach(table => {
+            this.oscTableSelect.appendChild(new Option(table.name, table.key));
+        });
+    }
+    
+    setupEventListeners() {
+        this.toggleBtn.addEventListener('click', this.onToggle);
+        this.rootSelect.addEventListener('change', this.onRootChange);
+        this.scaleSelect.addEventListener('change', this.onScaleChange);
+        this.customScaleInput.addEventListener('change', this.onCustomScaleChange);
+        this.referencePitchInput.addEventListener('change', this.onReferencePitchChange);
+        this.sclFileInput.addEventListener('change', this.onSclFileChange);
+        this.kbmFileInput.addEventListener('change', this.onKbmFileChange);
+        this.tuningResetBtn.addEventListener('click', this.onTuningReset);
+        this.quantizeInput.addEventListener('input', this.onQuantizeChange);
+        this.portamentoInput.addEventListener('input', this.onPortamentoChange);
+        this.tempoInput.addEventListener('change', this.onTempoChange);
+        this.tapTempoBtn.addEventListener('click', this.onTapTempo);
+        this.timeSignatureSelect.addEventListener('change', this.onTimeSignatureChange);
+        this.stereoWidthInput.addEventListener('input', this.onStereoWidthChange);
+        this.compressorToggle.addEventListener('change', this.onMasterChange);
+        this.glueInput.addEventListener('input', this.onMasterChange);
+        this.ceilingInput.addEventListener('input', this.onMasterChange);
+        
+        // Tap tempo and other modules can change the clock, so follow it
+        this.unsubscribeClock = this.synthesizer.getClock().subscribe(this.onClockChange);
+        this.patchSelect.addEventListener('change', this.onPatchChange);
+        this.voiceModeSelect.addEventListener('change', this.onVoiceModeChange);
+        this.voiceStealingSelect.addEventListener('change', this.onVoiceStealingChange);
+        this.chordSelect.addEventListener('change', this.onChordChange);
+        this.latchMaxInput.addEventListener('input', this.onLatchMaxChange);
+        this.latchReleaseBtn.addEventListener('click', this.onLatchRelease);
+        this.arpToggle.addEventListener('change', this.onArpChange);
+        this.arpPatternSelect.addEventListener('change', this.onArpChange);
+        this.arpOctavesInput.addEventListener('input', this.onArpChange);
+        this.arpGateInput.addEventListener('input', this.onArpChange);
+        this.arpSyncSelect.addEventListener('change', this.onArpChange);
+        this.arpRateInput.addEventListener('input', this.onArpChange);
+        this.envelopeInputs.forEach(input => input.addEventListener('input', this.onEnvelopeChange));
+        this.oscModeSelect.addEventListener('change', this.onOscillatorChange);
+        this.oscTableSelect.addEventListener('change', this.onOscillatorChange);
+        this.oscMorphInput.addEventListener('input', this.onOscillatorChange);
+        this.oscMorphSourceSelect.addEventListener('change', this.onOscillatorChange);
+        this.unisonInputs.forEach(input => input.addEventListener('input', this.onUnisonChange));
+        this.filterTypeSelect.addEventListener('change', this.onFilterChange);
+        this.filterSlopeSelect.addEventListener('change', this.onFilterChange);
+        this.filterCutoffInput.addEventListener('input', this.onFilterChange);
+        this.filterResonanceInput.addEventListener('input', this.onFilterChange);
+        this.filterKeyTrackingInput.addEventListener('input', this.onFilterChange);
+        this.filterYMappingSelect.addEventListener('change', this.onFilterChange);
+        this.noiseInputs.forEach(input => input.addEventListener('input', this.onNoiseChange));
+        this.wavetableFileInput.addEventListener('change', this.onWavetableFileChange);
+    }
+    
+    onToggle() {
+        this.isOpen = !this.isOpen;
+        this.panel.setAttribute('data-state', this.isOpen ? 'open' : 'closed');
+        this.toggleBtn.setAttribute('aria-expanded', String(this.isOpen));
+    }
+    
+    onRootChange() {
+        this.synthesizer.setRootNote(Number(this.rootSelect.value));
+    }
+    
+    onScaleChange() {
+        if (this.scaleSelect.value === 'custom') {
+            this.onCustomScaleChange();
+            return;
+        }
+        
+        this.synthesizer.setScale(this.scaleSelect.value);
+        this.updateUI();
+    }
+    
+    onCustomScaleChange() {
+        // Accept "0 2 3 7 9" or "0,2,3,7,9"
+        const intervals = this.customScaleInput.value
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map(Number);
+        
+        const applied = intervals.length > 0 && this.synthesizer.setScale(intervals);
+        
+        this.customScaleInput.classList.toggle('invalid', !applied);
+        this.updateUI();
+    }
+    
+    onReferencePitchChange() {
+        const applied = this.synthesizer.setReferencePitch(Number(this.referencePitchInput.value));
+        this.referencePitchInput.classList.toggle('invalid', !applied);
+        this.updateUI();
+    }
+    
+    async onSclFileChange() {
+        const text = await this.readSelectedFile(this.sclFileInput);
+        if (text === null) return;
+        
+        if (!this.synthesizer.loadScalaScale(text)) {
+            this.tuningStatus.textContent = 'Invalid .scl file';
+            return;
+        }
+        this.updateUI();
+    }
+    
+    async onKbmFileChange() {
+        const text = await this.readSelectedFile(this.kbmFileInput);
+        if (text === null) return;
+        
+        if (!this.synthesizer.loadKeyboardMapping(text)) {
+            this.tuningStatus.textContent = 'Invalid .kbm file';
+            return;
+        }
+        this.updateUI();
+    }
+    
+    onTuningReset() {
+        this.synthesizer.resetTuning();
+        this.sclFileInput.value = '';
+        this.kbmFileInput.value = '';
+        this.updateUI();
+    }
+    
+    onQuantizeChange() {
+        this.synthesizer.setQuantization(Number(this.quantizeInput.value));
+    }
+    
+    onPortamentoChange() {
+        this.synthesizer.setPortamento(Number(this.portamentoInput.value));
+    }
+    
+    onTempoChange() {
+        const clock = this.synthesizer.getClock();
+        const valid = this.tempoInput.value !== '' && clock.setTempo(Number(this.tempoInput.value));
+        this.tempoInput.classList.toggle('invalid', !valid);
+        if (valid) {
+            this.tempoInput.value = String(clock.bpm);
+        }
+    }
+    
+    onTapTempo() {
+        this.synthesizer.getClock().tap();
+    }
+    
+    onTimeSignatureChange() {
+        this.synthesizer.getClock().setTimeSignature(this.timeSignatureSelect.value);
+    }
+    
+    onClockChange(state) {
+        this.tempoInput.value = String(Math.round(state.bpm));
+        this.tempoInput.classList.remove('invalid');
+    }
+    
+    onMasterChange() {
+        const masterBus = this.synthesizer.getMasterBus();
+        if (!masterBus || !masterBus.isInitialized) return;
+        
+        masterBus.setCompressorEnabled(this.compressorToggle.checked);
+        masterBus.setGlue(Number(this.glueInput.value));
+        masterBus.setCeiling(Number(this.ceilingInput.value));
+    }
+    
+    onStereoWidthChange() {
+        this.synthesizer.setStereoWidth(Number(this.stereoWidthInput.value));
+    }
+    
+    onPatchChange() {
+        if (this.patchSelect.value !== 'custom') {
+            this.synthesizer.loadPatch(this.patchSelect.value);
+        }
+        this.updateUI();
+    }
+    
+    onVoiceModeChange() {
+        this.synthesizer.setVoiceMode(this.voiceModeSelect.value);
+    }
+    
+    onVoiceStealingChange() {
+        this.synthesizer.setVoiceStealing(this.voiceStealingSelect.value);
+    }
+    
+    onChordChange() {
+        this.synthesizer.setChordType(this.chordSelect.value);
+    }
+    
+    onLatchMaxChange() {
+        this.synthesizer.getLatch().setMaxDrones(Number(this.latchMaxInput.value));
+    }
+    
+    onLatchRelease() {
+        this.synthesizer.getLatch().releaseAll();
+    }
+    
+    onArpChange() {
+        const arpeggiator = this.synthesizer.getArpeggiator();
+        const sync = this.arpSyncSelect.value;
+        
+        arpeggiator.setPattern(this.arpPatternSelect.value);
+        arpeggiator.setOctaves(Number(this.arpOctavesInput.value));
+        arpeggiator.setGate(Number(this.arpGateInput.value));
+        arpeggiator.setRate({ sync: sync === 'free' ? null : sync, rate: Number(this.arpRateInput.value) });
+        arpeggiator.setEnabled(this.arpToggle.checked);
+        
+        // The free rate only applies when not following the clock
+        this.arpRateInput.disabled = sync !== 'free';
+    }
+    
+    onEnvelopeChange(event) {
+        const { envelope, stage } = event.target.dataset;
+        this.synthesizer.setEnvelope(envelope, { [stage]: Number(event.target.value) });
+    }
+    
+    onOscillatorChange() {
+        this.synthesizer.setOscillator({
+            mode: this.oscModeSelect.value,
+            table: this.oscTableSelect.value,
+            morph: Number(this.oscMorphInput.value),
+            morphSource: this.oscMorphSourceSelect.value
+        });
+    }
+    
+    onUnisonChange(event) {
+        this.synthesizer.setUnison({ [event.target.dataset.unison]: Number(event.target.value) });
+    }
+    
+    onFilterChange() {
+        this.synthesizer.setFilter({
+            type: this.filterTypeSelect.value,
+            slope: Number(this.filterSlopeSelect.value),
+            cutoff: Number(this.filterCutoffInput.value),
+            resonance: Number(this.filterResonanceInput.value),
+            keyTracking: Number(this.filterKeyTrackingInput.value),
+            yMapping: this.filterYMappingSelect.value
+        });
+    }
+    
+    onNoiseChange(event) {
+        const { noise } = event.target.dataset;
+        const value = noise === 'type' ? event.target.value : Number(event.target.value);
+        this.synthesizer.setNoise({ [noise]: value });
+    }
+    
+    async onWavetableFileChange() {
+        const file = this.wavetableFileInput.files && this.wavetableFileInput.files[0];
+        if (!file) return;
+        
+        const key = await this.synthesizer.importWavetable(await file.arrayBuffer(), file.name.replace(/\.wav$/i, ''));
+        this.wavetableFileInput.value = '';
+        if (!key) return;
+        
+        // Switch straight to the imported table
+        this.populateWavetableOptions();
+        this.synthesizer.setOscillator({ mode: 'wavetable', table: key });
+        this.updateUI();
+    }
+    
+    async readSelectedFile(input) {
+        const file = input.files && input.files[0];
+        if (!file) return null;
+        
+        try {
+            return await file.text();
+        } catch (error) {
+            console.error('Failed to read file:', error);
+            return null;
+        }
+    }
+    
+    updateUI() {
+        const scale = this.synthesizer.getScale();
+        
+        this.rootSelect.value = String(scale.rootNote);
+        this.scaleSelect.value = scale.name;
+        
+        if (scale.name === 'custom') {
+            this.customScaleInput.value = scale.intervals.join(' ');
+        }
+        
+        const tuning = this.synthesizer.getTuning();
+        this.referencePitchInput.value = String(tuning.referenceFrequency);
+        this.tuningStatus.textContent = tuning.hasKeyboardMap
+            ? `${tuning.description} (${tuning.keysPerPeriod}-key map)`
+            : tuning.description;
+        
+        // The scale picker only applies to tunings that repeat every 12 keys
+        this.scaleSelect.disabled = tuning.keysPerPeriod !== 12;
+        
+        const glide = this.synthesizer.getGlide();
+        this.quantizeInput.value = String(glide.quantization);
+        this.portamentoInput.value = String(glide.portamentoTime);
+        this.stereoWidthInput.value = String(this.synthesizer.getStereoWidth());
+        
+        const masterBus = this.synthesizer.getMasterBus();
+        if (masterBus && masterBus.isInitialized) {
+            const master = masterBus.getSettings();
+            this.compressorToggle.checked = master.compressorEnabled;
+            this.glueInput.value = String(master.glue);
+            this.ceilingInput.value = String(master.ceiling);
+        }
+        
+        const clock = this.synthesizer.getClock();
+        this.tempoInput.value = String(Math.round(clock.bpm));
+        this.timeSignatureSelect.value = clock.getTimeSignature();
+        
+        const patch = this.synthesizer.getPatch();
+        this.patchSelect.value = patch.key;
+        
+        const voiceSettings = this.synthesizer.getVoiceSettings();
+        this.voiceModeSelect.value = voiceSettings.mode;
+        this.voiceStealingSelect.value = voiceSettings.stealing;
+        this.chordSelect.value = voiceSettings.chord;
+        
+        this.latchMaxInput.value = String(this.synthesizer.getLatch().getSettings().maxDrones);
+        
+        const arp = this.synthesizer.getArpeggiator().getSettings();
+        this.arpToggle.checked = arp.enabled;
+        this.arpPatternSelect.value = arp.pattern;
+        this.arpOctavesInput.value = String(arp.octaves);
+        this.arpGateInput.value = String(arp.gate);
+        this.arpSyncSelect.value = arp.sync || 'free';
+        this.arpRateInput.value = String(arp.rate);
+        this.arpRateInput.disabled = !!arp.sync;
+        
+        this.oscModeSelect.value = patch.oscillator.mode;
+        this.oscTableSelect.value = patch.oscillator.table;
+        this.oscMorphInput.value = String(patch.oscillator.morph);
+        this.oscMorphSourceSelect.value = patch.oscillator.morphSource;
+        this.envelopeInputs.forEach(input => {
+            const { envelope, stage } = input.dataset;
+            input.value = String(patch[`${envelope}Envelope`][stage]);
+        });
+        this.unisonInputs.forEach(input => {
+            input.value = String(patch.unison[input.dataset.unison]);
+        });
+        this.filterTypeSelect.value = patch.filter.type;
+        this.filterSlopeSelect.value = String(patch.filter.slope);
+        this.filterCutoffInput.value = String(patch.filter.cutoff);
+        this.filterResonanceInput.value = String(patch.filter.resonance);
+        this.filterKeyTrackingInput.value = String(patch.filter.keyTracking);
+        this.filterYMappingSelect.value = patch.filter.yMapping;
+        this.noiseInputs.forEach(input => {
+            input.value = String(patch.noise[input.dataset.noise]);
+        });
+    }
+    
+    destroy() {
+        this.toggleBtn.removeEventListener('click', this.onToggle);
+        this.rootSelect.removeEventListener('change', this.onRootChange);
+        this.scaleSelect.removeEventListener('change', this.onScaleChange);
+        this.customScaleInput.removeEventListener('change', this.onCustomScaleChange);
+        this.referencePitchInput.removeEventListener('change', this.onReferencePitchChange);
+        this.sclFileInput.removeEventListener('change', this.onSclFileChange);
+        this.kbmFileInput.removeEventListener('change', this.onKbmFileChange);
+        this.tuningResetBtn.removeEventListener('click', this.onTuningReset);
+        this.quantizeInput.removeEventListener('input', this.onQuantizeChange);
+        this.portamentoInput.removeEventListener('input', this.onPortamentoChange);
+        this.tempoInput.removeEventListener('change', this.onTempoChange);
+        this.tapTempoBtn.removeEventListener('click', this.onTapTempo);
+        this.timeSignatureSelect.removeEventListener('change', this.onTimeSignatureChange);
+        this.stereoWidthInput.removeEventListener('input', this.onStereoWidthChange);
+        this.compressorToggle.removeEventListener('change', this.onMasterChange);
+        this.glueInput.removeEventListener('input', this.onMasterChange);
+        this.ceilingInput.removeEventListener('input', this.onMasterChange);
+        
+        if (this.unsubscribeClock) {
+            this.unsubscribeClock();
+            this.unsubscribeClock = null;
+        }
+        this.patchSelect.removeEventListener('change', this.onPatchChange);
+        this.voiceModeSelect.removeEventListener('change', this.onVoiceModeChange);
+        this.voiceStealingSelect.removeEventListener('change', this.onVoiceStealingChange);
+        this.chordSelect.removeEventListener('change', this.onChordChange);
+        this.latchMaxInput.removeEventListener('input', this.onLatchMaxChange);
+        this.latchReleaseBtn.removeEventListener('click', this.onLatchRelease);
+        this.arpToggle.removeEventListener('change', this.onArpChange);
+        this.arpPatternSelect.removeEventListener('change', this.onArpChange);
+        this.arpOctavesInput.removeEventListener('input', this.onArpChange);
+        this.arpGateInput.removeEventListener('input', this.onArpChange);
+        this.arpSyncSelect.removeEventListener('change', this.onArpChange);
+        this.arpRateInput.removeEventListener('input', this.onArpChange);
+        this.envelopeInputs.forEach(input => input.removeEventListener('input', this.onEnvelopeChange));
+        this.oscModeSelect.removeEventListener('change', this.onOscillatorChange);
+        this.oscTableSelect.removeEventListener('change', this.onOscillatorChange);
+        this.oscMorphInput.removeEventListener('input', this.onOscillatorChange);
+        this.oscMorphSourceSelect.removeEventListener('change', this.onOscillatorChange);
+        this.unisonInputs.forEach(input => input.removeEventListener('input', this.onUnisonChange));
+        this.filterTypeSelect.removeEventListener('change', this.onFilterChange);
+        this.filterSlopeSelect.removeEventListener('change', this.onFilterChange);
+        this.filterCutoffInput.removeEventListener('input', this.onFilterChange);
+        this.filterResonanceInput.removeEventListener('input', this.onFilterChange);
+        this.filterKeyTrackingInput.removeEventListener('input', this.onFilterChange);
+        this.filterYMappingSelect.removeEventListener('change', this.onFilterChange);
+        this.noiseInputs.forEach(input => input.removeEventListener('input', this.onNoiseChange));
+        this.wavetableFileInput.removeEventListener('change', this.onWavetableFileChange);
+        
+        this.isInitialized = false;
+    }
+}
\ No newline at end of file
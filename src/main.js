@@ -4,6 +4,11 @@ import { OilSurface } from './visual/oil-surface.js';
 import { TouchHandler } from './controls/touch-handler.js';
 import { createKnobControls } from './controls/knob-control.js';
 import { LoopControls } from './controls/loop-controls.js';
+import { SettingsPanel } from './controls/settings-panel.js';
+import { ModulationPanel } from './controls/modulation-panel.js';
+import { EffectsPanel } from './controls/effects-panel.js';
+import { MasterMeter } from './controls/master-meter.js';
+import { LatchButton } from './controls/latch-button.js';
 import { performanceOptimizer } from './utils/performance.js';
 
 class OilSynth {
@@ -11,6 +16,12 @@ class OilSynth {
         this.synthesizer = null;
         this.loopController = null;
         this.loopControls = null;
+        this.settingsPanel = null;
+        this.modulationPanel = null;
+        this.effectsPanel = null;
+        this.masterMeter = null;
+        this.latchButton = null;
+        this.unsubscribeLatch = null;
         this.oilSurface = null;
         this.touchHandler = null;
         this.knobControls = [];
@@ -85,13 +96,36 @@ class OilSynth {
         this.loopController = new LoopController(this.synthesizer);
         await this.loopController.initialize();
         
+        // Loop position is available as a modulation source
+        this.synthesizer.getModulationMatrix().setLoopPositionSource(
+            () => this.loopController.getPlaybackPosition()
+        );
+        
         this.loopControls = new LoopControls(this.loopController);
         await this.loopControls.initialize();
         
+        this.settingsPanel = new SettingsPanel(this.synthesizer);
+        await this.settingsPanel.initialize();
+        
+        this.modulationPanel = new ModulationPanel(this.synthesizer.getModulationMatrix());
+        await this.modulationPanel.initialize();
+        
+        this.effectsPanel = new EffectsPanel(this.synthesizer.getEffectsChain());
+        await this.effectsPanel.initialize();
+        
+        this.masterMeter = new MasterMeter(this.synthesizer.getMasterBus());
+        await this.masterMeter.initialize();
+        
         // Initialize oil surface visualization with optimal settings
         this.oilSurface = new OilSurface(this.canvas, visualSettings);
         await this.oilSurface.initialize();
         
+        // Latched notes show as markers on the oil
+        const latch = this.synthesizer.getLatch();
+        this.latchButton = new LatchButton(latch);
+        await this.latchButton.initialize();
+        this.unsubscribeLatch = latch.subscribe(drones => this.oilSurface.setMarkers(drones));
+        
         // Setup touch handler with callbacks
         this.touchHandler = new TouchHandler(this.canvas, {
             onTouchStart: (id, x, y, intensity) => this.handleTouchStart(id, x, y, intensity),
@@ -175,15 +209,25 @@ class OilSynth {
         // Convert screen coordinates to normalized coordinates
         const normalizedCoords = this.touchHandler.getNormalizedCoords(x, y);
         
-        // Start audio voice
-        const voice = this.synthesizer.startVoice(
-            normalizedCoords.x, 
-            normalizedCoords.y, 
-            intensity
-        );
-        
-        if (voice) {
-            this.activeVoices.set(id, voice);
+        // In latch mode a tap on a held note's zone only releases that note
+        const releasedHeldNote = this.synthesizer.getLatch().releaseAt(normalizedCoords.x, normalizedCoords.y);
+        
+        // Start audio voice, or hand the touch to the arpeggiator
+        const arpeggiator = this.synthesizer.getArpeggiator();
+        if (!releasedHeldNote) {
+            if (arpeggiator.isEnabled()) {
+                arpeggiator.press(id, normalizedCoords.x, normalizedCoords.y, intensity);
+            } else {
+                const voice = this.synthesizer.startVoice(
+                    normalizedCoords.x, 
+                    normalizedCoords.y, 
+                    intensity
+                );
+                
+                if (voice) {
+                    this.activeVoices.set(id, voice);
+                }
+            }
         }
         
         // Add visual feedback to oil surface (this triggers reveal on first touch)
@@ -197,7 +241,9 @@ class OilSynth {
         // Update audio voice position
         const voice = this.activeVoices.get(id);
         if (voice) {
-            this.synthesizer.updateVoicePosition(voice, normalizedCoords.x, normalizedCoords.y);
+            this.synthesizer.updateVoicePosition(voice, normalizedCoords.x, normalizedCoords.y, intensity);
+        } else {
+            this.synthesizer.getArpeggiator().move(id, normalizedCoords.x, normalizedCoords.y, intensity);
         }
         
         // Update visual feedback
@@ -205,11 +251,17 @@ class OilSynth {
     }
     
     handleTouchEnd(id, x, y, duration) {
-        // Stop audio voice
+        const normalizedCoords = this.touchHandler.getNormalizedCoords(x, y);
+        
+        // Stop audio voice, unless latch mode keeps it sounding
         const voice = this.activeVoices.get(id);
-        if (voice) {
+        if (this.synthesizer.getLatch().hold(id, normalizedCoords.x, normalizedCoords.y, voice)) {
+            this.activeVoices.delete(id);
+        } else if (voice) {
             this.synthesizer.stopVoice(voice);
             this.activeVoices.delete(id);
+        } else {
+            this.synthesizer.getArpeggiator().release(id);
         }
         
         // Remove visual feedback
@@ -273,6 +325,7 @@ class OilSynth {
         
         if (this.synthesizer) {
             this.synthesizer.stopAllVoices();
+            this.synthesizer.getModulationMatrix().stop();
         }
         
         if (this.oilSurface) {
@@ -283,8 +336,34 @@ class OilSynth {
             this.loopControls.destroy();
         }
         
+        if (this.settingsPanel) {
+            this.settingsPanel.destroy();
+        }
+        
+        if (this.modulationPanel) {
+            this.modulationPanel.destroy();
+        }
+        
+        if (this.effectsPanel) {
+            this.effectsPanel.destroy();
+        }
+        
+        if (this.masterMeter) {
+            this.masterMeter.destroy();
+        }
+        
+        if (this.latchButton) {
+            this.latchButton.destroy();
+        }
+        
+        if (this.unsubscribeLatch) {
+            this.unsubscribeLatch();
+            this.unsubscribeLatch = null;
+        }
+        
         if (this.loopController) {
             this.loopController.clear();
+            this.loopController.getMetronome().destroy();
         }
         
         this.knobControls.forEach(knob => knob.destroy());
@@ -81,6 +81,7 @@ export class PerformanceOptimizer {
             sampleRate: 44100,
             bufferSize: this.audioLatency,
             maxVoices: this.isLowEndDevice ? 3 : 5,
+            maxWorkletVoices: this.isLowEndDevice ? 8 : 16, // Voices rendered in the AudioWorklet engine
             
             // Effect settings
             reverbLength: this.isLowEndDevice ? 1.0 : 2.0, // seconds
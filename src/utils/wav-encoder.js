@@ -0,0 +1,85 @@
+// WAV encoder - writes an AudioBuffer as a RIFF/WAVE file: 16 or 24-bit integer PCM (clipped to
+// full scale) or 32-bit IEEE float (unclipped, with the fact chunk float files require).
+
+export const WAV_FORMATS = {
+    pcm16: '16-BIT',
+    pcm24: '24-BIT',
+    float32: '32-BIT FLOAT'
+};
+
+const FORMAT_PCM = 1;
+const FORMAT_IEEE_FLOAT = 3;
+
+export function encodeWav(audioBuffer, format = 'pcm16') {
+    const isFloat = format === 'float32';
+    const bytesPerSample = format === 'pcm24' ? 3 : format === 'float32' ? 4 : 2;
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + 8 + fmtSize + factSize + 8;
+    
+    const arrayBuffer = new ArrayBuffer(headerSize + dataSize + (dataSize % 2));
+    const view = new DataView(arrayBuffer);
+    const writeTag = (offset, tag) => {
+        for (let i = 0; i < 4; i++) {
+            view.setUint8(offset + i, tag.charCodeAt(i));
+        }
+    };
+    
+    writeTag(0, 'RIFF');
+    view.setUint32(4, arrayBuffer.byteLength - 8, true);
+    writeTag(8, 'WAVE');
+    
+    let offset = 12;
+    writeTag(offset, 'fmt ');
+    view.setUint32(offset + 4, fmtSize, true);
+    view.setUint16(offset + 8, isFloat ? FORMAT_IEEE_FLOAT : FORMAT_PCM, true);
+    view.setUint16(offset + 10, numberOfChannels, true);
+    view.setUint32(offset + 12, sampleRate, true);
+    view.setUint32(offset + 16, sampleRate * blockAlign, true);
+    view.setUint16(offset + 20, blockAlign, true);
+    view.setUint16(offset + 22, bytesPerSample * 8, true);
+    if (isFloat) {
+        view.setUint16(offset + 24, 0, true); // No extension
+    }
+    offset += 8 + fmtSize;
+    
+    if (isFloat) {
+        writeTag(offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, length, true);
+        offset += factSize;
+    }
+    
+    writeTag(offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+    
+    // Interleave the channels frame by frame
+    const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const sample = channels[channel][i];
+            
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const clipped = Math.max(-1, Math.min(1, sample));
+                if (bytesPerSample === 2) {
+                    view.setInt16(offset, Math.round(clipped * (clipped < 0 ? 0x8000 : 0x7fff)), true);
+                } else {
+                    const value = Math.round(clipped * (clipped < 0 ? 0x800000 : 0x7fffff));
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+            }
+            offset += bytesPerSample;
+        }
+    }
+    
+    return arrayBuffer;
+}
\ No newline at end of file
@@ -1,3 +1,6 @@
+// Latched notes drawn as glowing rings (matches MAX_DRONES in latch.js)
+const MAX_MARKERS = 16;
+
 export class OilSurface {
     constructor(canvas, settings = {}) {
         this.canvas = canvas;
@@ -26,6 +29,9 @@ export class OilSurface {
         this.touches = new Map();
         this.touchHistory = [];
         
+        // Held-note markers in texture coordinates
+        this.markers = [];
+        
         // Quality settings
         this.quality = settings.shaderComplexity || 1.0;
         
@@ -99,6 +105,8 @@ export class OilSurface {
             uniform float u_touchIntensity[10];
             uniform vec2 u_revealCenter;
             uniform float u_revealProgress;
+            uniform vec2 u_markers[${MAX_MARKERS}];
+            uniform int u_markerCount;
             
             // Noise function
             float noise(vec2 p) {
@@ -206,6 +214,19 @@ export class OilSurface {
                 // Mix between black and oil colors based on reveal
                 vec3 finalColor = mix(vec3(0.0), oilColor, revealMask);
                 
+                // Latched notes: a slowly breathing ring that wobbles with the oil
+                vec2 aspect = vec2(u_resolution.x / u_resolution.y, 1.0);
+                float markerGlow = 0.0;
+                for(int i = 0; i < ${MAX_MARKERS}; i++) {
+                    if(i >= u_markerCount) break;
+                    
+                    float dist = distance(uv * aspect, u_markers[i] * aspect);
+                    float radius = 0.035 + 0.004 * sin(u_time * 2.0 + float(i)) + (fluid - 0.5) * 0.006;
+                    markerGlow += exp(-pow((dist - radius) * 90.0, 2.0));
+                    markerGlow += exp(-dist * 40.0) * 0.25;
+                }
+                finalColor += vec3(1.0, 0.85, 0.55) * min(markerGlow, 1.0) * 0.6;
+                
                 gl_FragColor = vec4(finalColor, 1.0);
             }
         `;
@@ -225,7 +246,9 @@ export class OilSurface {
             touchCount: this.gl.getUniformLocation(this.renderProgram, 'u_touchCount'),
             touchIntensity: this.gl.getUniformLocation(this.renderProgram, 'u_touchIntensity'),
             revealCenter: this.gl.getUniformLocation(this.renderProgram, 'u_revealCenter'),
-            revealProgress: this.gl.getUniformLocation(this.renderProgram, 'u_revealProgress')
+            revealProgress: this.gl.getUniformLocation(this.renderProgram, 'u_revealProgress'),
+            markers: this.gl.getUniformLocation(this.renderProgram, 'u_markers'),
+            markerCount: this.gl.getUniformLocation(this.renderProgram, 'u_markerCount')
         };
     }
     
@@ -340,6 +363,11 @@ export class OilSurface {
         this.touches.delete(id);
     }
     
+    // Markers for held notes, as normalized positions with y pointing down (like the touch coords)
+    setMarkers(points) {
+        this.markers = points.slice(0, MAX_MARKERS).map(({ x, y }) => ({ x, y: 1.0 - y }));
+    }
+    
     startAnimation() {
         const animate = (timestamp) => {
             this.time = timestamp * 0.001; // Convert to seconds
@@ -388,6 +416,16 @@ export class OilSurface {
         
         this.gl.uniform1i(this.uniforms.touchCount, maxTouches);
         
+        if (this.markers.length > 0) {
+            const markerPositions = new Float32Array(this.markers.length * 2);
+            this.markers.forEach((marker, i) => {
+                markerPositions[i * 2] = marker.x;
+                markerPositions[i * 2 + 1] = marker.y;
+            });
+            this.gl.uniform2fv(this.uniforms.markers, markerPositions);
+        }
+        this.gl.uniform1i(this.uniforms.markerCount, this.markers.length);
+        
         // Clear and draw
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
@@ -404,6 +442,7 @@ export class OilSurface {
         
         this.touches.clear();
         this.touchHistory = [];
+        this.markers = [];
     }
     
     // Performance optimization method
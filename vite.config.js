@@ -5,6 +5,8 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
+    // AudioWorklet modules are loaded by URL - keep them as files rather than data: URLs
+    assetsInlineLimit: (filePath) => (filePath.includes('/worklets/') ? false : undefined),
     rollupOptions: {
       input: 'index.html'
     }